@@ -8,18 +8,56 @@
  * BIAS SYSTEM:
  * - All searches/filters are based on a "bias point"
  * - Bias point is either: user location (blue) OR dropped pin (orange)
- * - Dropping a pin replaces user location as bias
+ * - Dropping a pin replaces user location as bias, and opens "What's here"
  * - Pressing locate me sets user location as bias
  */
 
-import { useState, useRef, useCallback, useEffect } from 'react'
+import { useState, useRef, useCallback, useEffect, useMemo, Fragment } from 'react'
 import './App.css'
 
 // Leaflet imports
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap, useMapEvents } from 'react-leaflet'
+import { MapContainer, Marker, Popup, Polyline, Polygon, Circle, CircleMarker, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 
+import DirectionsForm from './components/DirectionsForm/DirectionsForm'
+import ExportMenu from './components/ExportMenu/ExportMenu'
+import Settings from './components/Settings/Settings'
+import SearchBox from './components/SearchBox/SearchBox'
+import CategoryEditor from './components/CategoryEditor/CategoryEditor'
+import WhatsHere from './components/WhatsHere/WhatsHere'
+import OfflineMaps from './components/OfflineMaps/OfflineMaps'
+import LayerList from './components/LayerList/LayerList'
+import DrawToolbar from './components/DrawToolbar/DrawToolbar'
+import SketchEditor from './components/SketchEditor/SketchEditor'
+import MeasurePanel from './components/MeasurePanel/MeasurePanel'
+import BaseTileLayer from './components/BaseTileLayer/BaseTileLayer'
+import BaseMapPicker from './components/BaseMapPicker/BaseMapPicker'
+import OfflineRegionsLayer from './components/OfflineRegionsLayer/OfflineRegionsLayer'
+import ImportedLayer from './components/ImportedLayer/ImportedLayer'
+import SketchLayer from './components/SketchLayer/SketchLayer'
+import MeasureOverlay from './components/MeasureOverlay/MeasureOverlay'
+import IsochroneLayer from './components/IsochroneLayer/IsochroneLayer'
+import IsochronePanel from './components/IsochronePanel/IsochronePanel'
+import useBaseMap from './hooks/useBaseMap'
+import useOfflineRegions from './hooks/useOfflineRegions'
+import useImportedLayers from './hooks/useImportedLayers'
+import useSketches from './hooks/useSketches'
+import useMeasure from './hooks/useMeasure'
+import useIsochrone from './hooks/useIsochrone'
+import { getDistanceKm, getBearing, getCumulativeDistances, snapToLine, isPointInPolygons, getPolygonsBounds, getBoundsAroundKm } from './utils/geo'
+import { downloadExport, downloadFile } from './utils/export'
+import { parseCoordinates, getPlusCodeLocality, formatCoordinates } from './utils/coordinates'
+import { ADDRESS_FIELDS, hasAddressParts, getAddressLine, getAddressField } from './utils/address'
+import { searchPlaces, reversePlace, loadGeocodingSettings, saveGeocodingSettings, resetGeocodingSettings } from './services/geocoding'
+import { loadCategories, saveCategories, resetCategories, toCategoriesFile, readCategoriesFile } from './services/categories'
+import { searchByTags, findNearbyPlaces, loadOverpassSettings, saveOverpassSettings, resetOverpassSettings } from './services/overpass'
+import { RESULTS_PAGE, getRegionProfile, getSearchPasses, loadSearchSettings, saveSearchSettings, resetSearchSettings } from './services/searchArea'
+import { loadRecentSearches, addRecentSearch, clearRecentSearches, loadSavedPlaces, toggleSavedPlace, isSamePlace } from './services/userPlaces'
+import { routeOffline, importRoadExtract, loadSavedRoadExtract, removeRoadExtract, describeRoadGraph } from './services/offlineRouting'
+
+import { TRAVEL_MODES, ACTIVE_STEP_STYLE, ALTERNATIVE_ROUTE_STYLE, getTravelMode, loadTravelMode, saveTravelMode, loadRoutingSettings, saveRoutingSettings, resetRoutingSettings, canOptimizeStops, fetchRoute } from './services/routing'
+
 // Fix Leaflet default marker icon issue
 delete L.Icon.Default.prototype._getIconUrl
 L.Icon.Default.mergeOptions({
@@ -40,20 +78,57 @@ const createIcon = (color) => new L.Icon({
 
 const redIcon = createIcon('red')
 const blueIcon = createIcon('blue')
-const greenIcon = createIcon('green')
 const orangeIcon = createIcon('orange')
+const violetIcon = createIcon('violet')
+
+// Category marker icons by color, created on first use
+const categoryIcons = {}
+const getCategoryIcon = (color) => (categoryIcons[color] ||= createIcon(color))
+
+// Navigation thresholds
+const OFF_ROUTE_KM = 0.05 // Farther than this from the route counts as off-route
+const OFF_ROUTE_FIXES = 2 // Consecutive off-route fixes before rerouting (GPS jitter)
+const ARRIVAL_KM = 0.03 // Remaining distance that counts as arrived
+
+const SEARCH_LIMIT = 40 // Places fetched per search; the list pages through them
+
+// searchPlaces options for one search pass (see getSearchPasses)
+function getPassOptions(pass, bias, limit = SEARCH_LIMIT) {
+  return pass.radiusKm
+    ? { limit, near: bias, bounds: getBoundsAroundKm(bias, pass.radiusKm), bounded: true }
+    : { limit, near: bias, countryCodes: pass.countryCodes }
+}
+
+// Map markers for category results, in the chip's color
+function toFilterMarkers(places, color) {
+  return places.map((place, index) => ({
+    id: `filter-${index}`,
+    position: [place.lat, place.lon],
+    name: place.name,
+    color
+  }))
+}
+
+// Orders for the results list; grouped ones get a heading per value
+const RESULT_ORDERS = {
+  distance: { label: 'Distance' },
+  name: { label: 'Name' },
+  barangay: { label: 'Barangay', group: true },
+  city: { label: 'City / municipality', group: true }
+}
 
-// Haversine formula - calculates accurate distance between two lat/lon points
-function getDistanceKm(lat1, lon1, lat2, lon2) {
-  const R = 6371 // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180
-  const dLon = (lon2 - lon1) * Math.PI / 180
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2)
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
-  return R * c
+// Results come nearest first; other orders sort a copy. Grouped orders keep
+// places without that address field at the end, nearest first within a group.
+function sortResults(results, order) {
+  if (order === 'name') return [...results].sort((a, b) => a.name.localeCompare(b.name))
+  if (!RESULT_ORDERS[order]?.group) return results
+  
+  return [...results].sort((a, b) => {
+    const fieldA = getAddressField(a, order)
+    const fieldB = getAddressField(b, order)
+    if (!fieldA !== !fieldB) return fieldA ? -1 : 1
+    return fieldA.localeCompare(fieldB) || (a.distance ?? 0) - (b.distance ?? 0)
+  })
 }
 
 // Format distance for display
@@ -67,6 +142,80 @@ function formatDistance(km) {
   }
 }
 
+// Format duration (minutes) for display
+function formatDuration(min) {
+  if (min < 60) {
+    return `${min} min`
+  }
+  const hours = Math.floor(min / 60)
+  const rest = min % 60
+  return rest ? `${hours} h ${rest} min` : `${hours} h`
+}
+
+// Structured address as labelled rows, or the provider's one-line address
+function PlaceAddress({ place }) {
+  if (!hasAddressParts(place)) return <p>{place.address}</p>
+  
+  return (
+    <dl className="place-address">
+      {Object.entries(ADDRESS_FIELDS)
+        .filter(([field]) => place.addressParts[field])
+        .map(([field, label]) => (
+          <div key={field}>
+            <dt>{label}</dt>
+            <dd>{place.addressParts[field]}</dd>
+          </div>
+        ))}
+    </dl>
+  )
+}
+
+// Opening hours, phone and website from OSM tags (category results)
+function PlaceDetails({ details }) {
+  if (!details || !(details.openingHours || details.phone || details.website)) return null
+  
+  // OSM website tags often leave out the scheme
+  const website = details.website && (/^https?:\/\//.test(details.website) ? details.website : `https://${details.website}`)
+  
+  return (
+    <ul className="place-details">
+      {details.openingHours && <li>🕘 {details.openingHours}</li>}
+      {details.phone && <li>📞 <a href={`tel:${details.phone.split(';')[0].replace(/\s/g, '')}`}>{details.phone}</a></li>}
+      {website && <li>🌐 <a href={website} target="_blank" rel="noopener noreferrer">{website.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')}</a></li>}
+    </ul>
+  )
+}
+
+// Current view of a Leaflet map - center, zoom and [south, west, north, east]
+function getMapView(map) {
+  const center = map.getCenter()
+  const bounds = map.getBounds()
+  return {
+    center: [center.lat, center.lng],
+    zoom: map.getZoom(),
+    bounds: [bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()]
+  }
+}
+
+// Whether the map moved noticeably: a zoom step, or a pan of a quarter of the view
+function hasViewMoved(from, to) {
+  if (Math.abs(from.zoom - to.zoom) >= 1) return true
+  
+  const [south, west, north, east] = to.bounds
+  const [lat, lon] = to.center
+  const widthKm = getDistanceKm(lat, west, lat, east)
+  const heightKm = getDistanceKm(south, lon, north, lon)
+  return getDistanceKm(from.center[0], from.center[1], lat, lon) > Math.min(widthKm, heightKm) / 4
+}
+
+// Component to report the map view after each pan or zoom
+function MapViewWatcher({ onViewChange }) {
+  const map = useMapEvents({
+    moveend: () => onViewChange(getMapView(map))
+  })
+  return null
+}
+
 // Component to store map instance reference
 function MapInstanceGrabber({ onMapReady }) {
   const map = useMap()
@@ -142,9 +291,55 @@ function GeolocateHandler({ trigger, onLocated, onError }) {
   return null
 }
 
+// Component to follow the user while navigating (continuous GPS, not one-shot)
+function NavigationHandler({ active, position, onPosition, onError }) {
+  const map = useMap()
+  const onPositionRef = useRef(onPosition)
+  const onErrorRef = useRef(onError)
+  
+  // Always call the latest handlers without restarting the GPS watch
+  useEffect(() => {
+    onPositionRef.current = onPosition
+    onErrorRef.current = onError
+  }, [onPosition, onError])
+  
+  // The map pane changes size when entering/leaving the rotated layout
+  useEffect(() => {
+    map.invalidateSize()
+  }, [active, map])
+  
+  useEffect(() => {
+    if (!active) return
+    
+    const watchId = navigator.geolocation.watchPosition(
+      (pos) => onPositionRef.current([pos.coords.latitude, pos.coords.longitude], pos.coords.heading),
+      (err) => {
+        console.error('Navigation location error:', err.message)
+        onErrorRef.current(err.message)
+      },
+      { enableHighAccuracy: true, maximumAge: 1000 }
+    )
+    
+    return () => navigator.geolocation.clearWatch(watchId)
+  }, [active])
+  
+  // Keep the user centered
+  useEffect(() => {
+    if (active && position) {
+      map.setView(position, Math.max(map.getZoom(), 17), { animate: true })
+    }
+  }, [active, position, map])
+  
+  return null
+}
+
 function App() {
-  // Map initial center (Carmona, Cavite area)
-  const [mapCenter] = useState([14.4324, 120.9619])
+  // Search radius and region profile (countries, map center, fallback)
+  const [searchSettings, setSearchSettings] = useState(loadSearchSettings)
+  const regionCenter = getRegionProfile(searchSettings.region).center
+  
+  // Map initial center (the region's, Carmona, Cavite by default)
+  const [mapCenter] = useState(regionCenter)
   
   // Bias point - the reference location for all searches
   // Can be either user location or dropped pin location
@@ -164,29 +359,62 @@ function App() {
   
   // Search state
   const [searchQuery, setSearchQuery] = useState('')
-  const [searchResults, setSearchResults] = useState([])
+  const [searchResults, setSearchResults] = useState([]) // Places from the geocoding service
+  const [resultOrder, setResultOrder] = useState('distance') // A RESULT_ORDERS key
+  const [resultLimit, setResultLimit] = useState(RESULTS_PAGE.search) // How many of them are listed
+  const sortedResults = useMemo(() => sortResults(searchResults, resultOrder), [searchResults, resultOrder])
+  const visibleResults = useMemo(() => sortedResults.slice(0, resultLimit), [sortedResults, resultLimit])
+  const [geocodingSettings, setGeocodingSettings] = useState(loadGeocodingSettings) // Provider, server and contact
+  const [overpassSettings, setOverpassSettings] = useState(loadOverpassSettings) // Tag search endpoint for categories
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches)
+  const [savedPlaces, setSavedPlaces] = useState(loadSavedPlaces)
   const [isSearching, setIsSearching] = useState(false)
   const [activeFilter, setActiveFilter] = useState(null)
+  const [activeSearch, setActiveSearch] = useState(null) // { query } or { categoryId }, with the map view it ran in
+  const [mapView, setMapView] = useState(null) // Map view after the last pan/zoom
+  const [categories, setCategories] = useState(loadCategories) // Category chips, user-editable
 
-  // Category filters
-  const categories = [
-    { id: 'church', label: 'Church', icon: '⛪' },
-    { id: 'restaurant', label: 'Food', icon: '🍔' },
-    { id: 'hospital', label: 'Hospital', icon: '🏥' },
-    { id: 'fuel', label: 'Gas', icon: '⛽' },
-    { id: 'atm', label: 'ATM', icon: '🏧' },
-    { id: 'pharmacy', label: 'Pharmacy', icon: '💊' },
-  ]
-  
   // UI state
   const [showSidebar, setShowSidebar] = useState(false)
-  const [selectedPlace, setSelectedPlace] = useState(null)
+  const [selectedPlace, setSelectedPlace] = useState(null) // A result, or the dropped pin ({ isPin: true })
+  const [pinNearby, setPinNearby] = useState(null) // Places around the pin - null while loading, false on failure
+  const pinRequest = useRef(0) // Latest pin, so slow answers for an older one are dropped
   
   // Toast notification
   const [toast, setToast] = useState(null)
   
   // Route/directions state
   const [routeInfo, setRouteInfo] = useState(null)
+  const [travelMode, setTravelMode] = useState(loadTravelMode)
+  const [sidebarView, setSidebarView] = useState('results') // 'results', 'steps', 'directions', 'settings', 'categories', 'offline', 'layers' or 'sketch'
+  const isSidebarPage = ['settings', 'categories', 'offline', 'layers', 'sketch'].includes(sidebarView) // Full-sidebar pages hide stops and actions
+  const [activeStep, setActiveStep] = useState(null)
+  const [routingSettings, setRoutingSettings] = useState(loadRoutingSettings) // Provider, server and profiles
+  const [offlineGraph, setOfflineGraph] = useState(null) // Road graph used when online routing fails
+  const [isLoadingRoads, setIsLoadingRoads] = useState(false)
+  
+  // Intermediate stops - visited in order between origin and destination
+  const [stops, setStops] = useState([])
+  const [optimizeStops, setOptimizeStops] = useState(false)
+  const dragStopIndex = useRef(null)
+  
+  // Directions form - free origin/destination ({ name, position } or null)
+  const [directionsFrom, setDirectionsFrom] = useState(null)
+  const [directionsTo, setDirectionsTo] = useState(null)
+  const [pickingField, setPickingField] = useState(null) // 'from' or 'to' while choosing on map
+  
+  // Live navigation - follows the user along the route
+  const [isNavigating, setIsNavigating] = useState(false)
+  const [navState, setNavState] = useState(null) // { position, bearing, remainingKm, remainingMin, arrivalTime, nextStep }
+  const offRouteFixes = useRef(0)
+  const isRerouting = useRef(false)
+  
+  // Bring back the road extract loaded in an earlier session
+  useEffect(() => {
+    loadSavedRoadExtract().then(graph => {
+      if (graph) setOfflineGraph(graph)
+    })
+  }, [])
   
   // Tutorial state
   const [tutorialStep, setTutorialStep] = useState(null)
@@ -225,7 +453,7 @@ function App() {
       id: 6,
       target: 'sidebar-results',
       title: '6. Choose an Action',
-      description: 'Tap a result to see 3 buttons: Locate (fly there), Route (get directions), or Share (copy info).',
+      description: 'Tap a result to see 4 buttons: Locate (fly there), Route (get directions), Stop (add to a multi-stop trip), or Share (copy info).',
     }
   ]
   
@@ -255,6 +483,22 @@ function App() {
     setTimeout(() => setToast(null), duration)
   }, [])
 
+  // Base map - tile sources from the registry file, and the one shown
+  const { tileSources, baseMap, changeBaseMap } = useBaseMap()
+  const [showBaseMaps, setShowBaseMaps] = useState(false)
+  
+  // Offline map regions - saved tiles per area, drawn whenever their base map is shown
+  const offline = useOfflineRegions({ tileSources, baseMap, showToast })
+  
+  // Imported overlay layers (GeoJSON, KML, GPX, Shapefile, CSV)
+  const importedLayers = useImportedLayers({ mapRef: mapInstanceRef, showToast })
+  
+  // Sketch layer - points, lines and areas drawn with the toolbar
+  const sketchTool = useSketches({ mapRef: mapInstanceRef, showToast })
+  
+  // Measure tool - a path or shape while open
+  const measureTool = useMeasure()
+
   // Fly to a location with animation
   const flyTo = useCallback((position, zoom = 16) => {
     setIsAnimating(true)
@@ -285,6 +529,48 @@ function App() {
     flyTo(position, 16)
   }, [flyTo])
 
+  // "What's here" for a dropped pin - its name and address, then what is around it
+  const showPinInfo = useCallback(async (position) => {
+    const request = ++pinRequest.current
+    const [lat, lon] = position
+    
+    setSelectedPlace({ id: 'pin', name: 'Dropped pin', address: formatCoordinates(position), lat, lon, isPin: true })
+    setPinNearby(null)
+    setSidebarView('results')
+    setShowSidebar(true)
+    
+    findNearbyPlaces(position, {}, overpassSettings)
+      .then(places => {
+        if (request === pinRequest.current) setPinNearby(places)
+      })
+      .catch(error => {
+        console.error('Nearby places failed:', error)
+        if (request === pinRequest.current) setPinNearby(false)
+      })
+    
+    try {
+      const place = await reversePlace(position, {}, geocodingSettings)
+      if (place && request === pinRequest.current) {
+        setSelectedPlace(current => (current?.isPin
+          ? { ...current, name: place.name, address: place.address, addressParts: place.addressParts }
+          : current))
+      }
+    } catch (error) {
+      console.error('Reverse geocoding failed:', error)
+    }
+  }, [geocodingSettings, overpassSettings])
+
+  // Show a sketch in the editor
+  const openSketchEditor = useCallback(() => {
+    setSidebarView('sketch')
+    setShowSidebar(true)
+  }, [])
+
+  // Active tool state - read by map taps and the map overlays
+  const { drawing: regionDrawing, addCorner: addRegionCorner } = offline
+  const { isMeasuring, addPoint: addMeasurePoint } = measureTool
+  const { drawMode, addDrawPoint, editing: editingSketch, close: closeSketch } = sketchTool
+
   // Handle map click - drop a pin (sets bias location only)
   const handleMapClick = useCallback(async (latlng) => {
     if (isAnimating) return
@@ -292,25 +578,57 @@ function App() {
     const { lat, lng } = latlng
     const position = [lat, lng]
     
+    // Drawing an offline area - the first tap is one corner, the second the opposite one
+    if (regionDrawing) {
+      if (addRegionCorner(position)) {
+        setSidebarView('offline')
+        setShowSidebar(true)
+      }
+      return
+    }
+    
+    // Measuring - every tap adds a point
+    if (isMeasuring) {
+      addMeasurePoint(position)
+      return
+    }
+    
+    // Drawing a sketch - a point takes one tap, lines and areas collect taps until ✓
+    if (drawMode) {
+      if (addDrawPoint(position)) openSketchEditor()
+      return
+    }
+    
+    // Editing a sketch - tapping the map ends it
+    if (editingSketch) {
+      closeSketch()
+      setSidebarView(view => (view === 'sketch' ? 'layers' : view))
+      return
+    }
+    
+    // Choosing a directions endpoint on the map - don't move the bias point
+    if (pickingField) {
+      const setField = pickingField === 'from' ? setDirectionsFrom : setDirectionsTo
+      setField({ name: `${lat.toFixed(5)}, ${lng.toFixed(5)}`, position })
+      setPickingField(null)
+      setSidebarView('directions')
+      setShowSidebar(true)
+      
+      try {
+        const place = await reversePlace(position, {}, geocodingSettings)
+        if (place?.name) setField({ name: place.name, position })
+      } catch (error) {
+        console.error('Reverse geocoding failed:', error)
+      }
+      return
+    }
+    
     // Set as new bias location (replaces user location)
     setBiasLocation(position)
     setBiasType('dropped')
     
-    // Clear any selected place (pins don't show action buttons)
-    setSelectedPlace(null)
-    
-    // Show toast with reverse geocoded name
-    try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&zoom=18`
-      )
-      const data = await response.json()
-      const placeName = data.name || data.display_name?.split(',')[0] || 'Pin dropped'
-      showToast(`📌 ${placeName}`)
-    } catch (error) {
-      showToast('📌 Pin dropped')
-    }
-  }, [isAnimating, showToast])
+    showPinInfo(position)
+  }, [isAnimating, regionDrawing, addRegionCorner, isMeasuring, addMeasurePoint, drawMode, addDrawPoint, openSketchEditor, editingSketch, closeSketch, pickingField, geocodingSettings, showPinInfo])
 
   // Ensure we have a bias location (auto-locate if needed)
   const ensureBiasLocation = useCallback(() => {
@@ -329,8 +647,8 @@ function App() {
           },
           (err) => {
             console.error('Geolocation error:', err)
-            // Fallback to default location
-            const fallback = [14.4324, 120.9619]
+            // Fallback to the region's center
+            const fallback = regionCenter
             setBiasLocation(fallback)
             setBiasType('user')
             resolve(fallback)
@@ -339,52 +657,84 @@ function App() {
         )
       }
     })
-  }, [biasLocation, flyTo])
+  }, [biasLocation, regionCenter, flyTo])
+
+  // Isochrone overlay - areas reachable from the bias point within time bands
+  const isochroneTool = useIsochrone({ travelMode, routingSettings, isAnimating, ensureBiasLocation, showToast })
+  const { isochrone, limit: isochroneLimit } = isochroneTool
+
+  // Typed coordinates as a point, or null. Short Plus Codes resolve near
+  // the town typed after them ("CXJ6+XQ Carmona"), else near the bias point.
+  const parseSearchCoordinates = async (query) => {
+    const reference = biasLocation || regionCenter
+    const locality = getPlusCodeLocality(query)
+    if (!locality) return parseCoordinates(query, reference)
+    
+    try {
+      const [town] = await searchPlaces(locality, { limit: 1, near: reference }, geocodingSettings)
+      return parseCoordinates(query, town ? [town.lat, town.lon] : reference)
+    } catch (error) {
+      console.error('Plus Code locality lookup failed:', error)
+      return parseCoordinates(query, reference)
+    }
+  }
+  
+  // Go to typed coordinates - drop a pin there, like tapping the map
+  const goToCoordinates = ({ position }) => {
+    setActiveFilter(null)
+    setActiveSearch(null)
+    setFilterMarkers([])
+    setSearchResults([])
+    setBiasLocation(position)
+    setBiasType('dropped')
+    flyTo(position, 17)
+    showPinInfo(position)
+  }
 
   // Search for places
-  const handleSearch = async (e) => {
-    e.preventDefault()
-    if (!searchQuery.trim() || isAnimating) return
+  const handleSearch = async (text) => {
+    const query = text.trim()
+    if (!query || isAnimating) return
+    
+    setRecentSearches(addRecentSearch(recentSearches, query))
+    
+    // Coordinates never go to the geocoder as free text
+    const coordinates = await parseSearchCoordinates(query)
+    if (coordinates) {
+      goToCoordinates(coordinates)
+      return
+    }
     
     setActiveFilter(null)
+    setActiveSearch(null)
     setIsSearching(true)
     setFilterMarkers([])
+    setSidebarView('results')
     
     // Ensure we have a bias location
     const bias = await ensureBiasLocation()
     const [lat, lon] = bias
+    setActiveSearch({ query, view: getMapView(mapInstanceRef.current) })
     
     try {
-      // Search with tight local bias first (~5km radius = 0.045 degrees)
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=20&viewbox=${lon-0.045},${lat+0.045},${lon+0.045},${lat-0.045}&bounded=1`
-      )
-      let data = await response.json()
-      
-      // If no local results, widen to ~15km
-      if (data.length === 0) {
-        const widerResponse = await fetch(
-          `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=20&viewbox=${lon-0.15},${lat+0.15},${lon+0.15},${lat-0.15}&bounded=1`
-        )
-        data = await widerResponse.json()
-      }
-      
-      // If still no results, search Philippines-wide
-      if (data.length === 0) {
-        const fallbackResponse = await fetch(
-          `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(searchQuery)}&limit=20&countrycodes=ph`
-        )
-        data = await fallbackResponse.json()
+      // Inside the radius first, then the widened radius, then the region fallback
+      let data = []
+      for (const pass of getSearchPasses(searchSettings)) {
+        const places = await searchPlaces(query, getPassOptions(pass, bias), geocodingSettings)
+        
+        // Calculate actual distance; radius passes keep only what's in the circle
+        data = places.map(place => ({
+          ...place,
+          distance: getDistanceKm(lat, lon, place.lat, place.lon)
+        }))
+        if (pass.radiusKm) data = data.filter(place => place.distance <= pass.radiusKm)
+        if (data.length > 0) break
       }
-      
-      // Calculate actual distance and sort by it
-      data = data.map(item => ({
-        ...item,
-        distance: getDistanceKm(lat, lon, parseFloat(item.lat), parseFloat(item.lon))
-      }))
       data.sort((a, b) => a.distance - b.distance)
       
-      setSearchResults(data.slice(0, 6))
+      setSearchResults(data)
+      setResultOrder('distance')
+      setResultLimit(RESULTS_PAGE.search)
       setShowSidebar(true)
       
     } catch (error) {
@@ -393,18 +743,63 @@ function App() {
     setIsSearching(false)
   }
 
-  // Filter by category
-  const handleCategoryFilter = async (category) => {
+  // Pick a suggested place - show it as the only result and go there
+  const handleSuggestionSelect = (place) => {
     if (isAnimating) return
     
-    if (activeFilter === category.id) {
+    const result = {
+      ...place,
+      distance: biasLocation ? getDistanceKm(biasLocation[0], biasLocation[1], place.lat, place.lon) : undefined
+    }
+    setSearchQuery(place.name)
+    setRecentSearches(addRecentSearch(recentSearches, place))
+    setActiveFilter(null)
+    setActiveSearch(null)
+    setFilterMarkers([])
+    setSidebarView('results')
+    setSearchResults([result])
+    handleResultClick(result)
+    flyTo([place.lat, place.lon], 17)
+  }
+
+  // Star or unstar the selected place
+  const isSelectedSaved = selectedPlace !== null && savedPlaces.some(place => isSamePlace(place, selectedPlace))
+  // Results stay listed unless the selected place isn't one of them (the pin, a place near it)
+  const showResultsList = searchResults.length > 0 &&
+    (!selectedPlace || searchResults.some(result => isSamePlace(result, selectedPlace)))
+  const handleToggleSaved = () => {
+    if (!selectedPlace) return
+    
+    setSavedPlaces(toggleSavedPlace(savedPlaces, selectedPlace))
+    showToast(isSelectedSaved ? `☆ Removed ${selectedPlace.name}` : `⭐ Saved ${selectedPlace.name}`)
+  }
+
+  // Places for a chip in an area (a circle or bounds) - OSM tags go to
+  // Overpass, free-text chips to the geocoder
+  const findCategoryPlaces = (category, { near, radiusKm, bounds }) => {
+    if (category.tags) {
+      return searchByTags(category.tags, { near, radiusKm, bounds, name: category.label }, overpassSettings)
+    }
+    const options = bounds
+      ? { limit: SEARCH_LIMIT, near, bounds, bounded: true }
+      : getPassOptions({ radiusKm }, near)
+    return searchPlaces(category.text, options, geocodingSettings)
+  }
+
+  // Filter by category (refresh re-runs the active filter instead of toggling it off)
+  const handleCategoryFilter = async (category, { refresh = false, limitBand = isochroneLimit } = {}) => {
+    if (isAnimating) return
+    
+    if (activeFilter === category.id && !refresh) {
       setActiveFilter(null)
+      setActiveSearch(null)
       setSearchResults([])
       setFilterMarkers([])
       return
     }
     
     setActiveFilter(category.id)
+    setSidebarView('results')
     setSearchQuery('')
     setIsSearching(true)
     setSearchMarker(null)
@@ -412,72 +807,164 @@ function App() {
     // Ensure we have a bias location
     const bias = await ensureBiasLocation()
     const [lat, lon] = bias
+    setActiveSearch({ categoryId: category.id, view: getMapView(mapInstanceRef.current) })
+    
+    const [radiusPass, widerPass] = getSearchPasses(searchSettings, { fallback: false })
+    
+    // Reachable area the results must fall in, if the user limited filters to one
+    const limitArea = isochrone && limitBand !== null
+      ? isochrone.bands.find(band => band.minutes === limitBand)
+      : null
     
     try {
-      // Search tight radius first (~3km)
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${category.id}&limit=30&viewbox=${lon-0.03},${lat+0.03},${lon+0.03},${lat-0.03}&bounded=1`
-      )
-      let data = await response.json()
+      let data
       
-      // If not enough results, widen to ~8km
-      if (data.length < 5) {
-        const widerResponse = await fetch(
-          `https://nominatim.openstreetmap.org/search?format=json&q=${category.id}&limit=30&viewbox=${lon-0.08},${lat+0.08},${lon+0.08},${lat-0.08}&bounded=1`
-        )
-        const widerData = await widerResponse.json()
-        // Merge and deduplicate by place_id
-        const existingIds = new Set(data.map(d => d.place_id))
-        widerData.forEach(item => {
-          if (!existingIds.has(item.place_id)) data.push(item)
+      if (limitArea) {
+        // Search the box around the reachable area, then keep what's inside it
+        const places = await findCategoryPlaces(category, { near: bias, bounds: getPolygonsBounds(limitArea.polygons) })
+        data = places.filter(place => isPointInPolygons([place.lat, place.lon], limitArea.polygons))
+      } else {
+        // Search the radius first
+        data = await findCategoryPlaces(category, { near: bias, radiusKm: radiusPass.radiusKm })
+      }
+      
+      // If not enough results, widen the radius (no region fallback - "nearby" means nearby)
+      if (!limitArea && data.length < 5) {
+        const widerData = await findCategoryPlaces(category, { near: bias, radiusKm: widerPass.radiusKm })
+        // Merge and deduplicate by place id
+        const existingIds = new Set(data.map(place => place.id))
+        widerData.forEach(place => {
+          if (!existingIds.has(place.id)) data.push(place)
         })
       }
       
       // Calculate actual distance and sort
-      data = data.map(item => ({
-        ...item,
-        distance: getDistanceKm(lat, lon, parseFloat(item.lat), parseFloat(item.lon))
+      data = data.map(place => ({
+        ...place,
+        distance: getDistanceKm(lat, lon, place.lat, place.lon)
       }))
       data.sort((a, b) => a.distance - b.distance)
       
-      data = data.slice(0, 8)
       setSearchResults(data)
+      setResultOrder('distance')
+      setResultLimit(RESULTS_PAGE.category)
       
-      // Create filter markers
-      const markers = data.map((result, index) => ({
-        id: `filter-${index}`,
-        position: [parseFloat(result.lat), parseFloat(result.lon)],
-        name: result.display_name.split(',')[0]
-      }))
-      setFilterMarkers(markers)
+      // Create filter markers for the listed page
+      setFilterMarkers(toFilterMarkers(data.slice(0, RESULTS_PAGE.category), category.color))
       setShowSidebar(true)
       
     } catch (error) {
       console.error('Filter search failed:', error)
+      showToast(`${category.icon} Could not load nearby places`)
     }
     setIsSearching(false)
   }
 
+  // Re-run the active query or category filter inside the current map view.
+  // The bias point stays put - distances are still measured from it.
+  const handleSearchThisArea = async () => {
+    if (!activeSearch || isAnimating) return
+    
+    const category = activeSearch.categoryId && categories.find(c => c.id === activeSearch.categoryId)
+    if (!category && !activeSearch.query) {
+      setActiveSearch(null) // Its category chip was deleted
+      return
+    }
+    const view = getMapView(mapInstanceRef.current)
+    const reference = biasLocation || view.center
+    
+    setIsSearching(true)
+    setActiveSearch({ ...activeSearch, view })
+    
+    try {
+      const places = category
+        ? await findCategoryPlaces(category, { near: view.center, bounds: view.bounds })
+        : await searchPlaces(activeSearch.query, { limit: SEARCH_LIMIT, near: view.center, bounds: view.bounds, bounded: true }, geocodingSettings)
+      
+      const data = places
+        .map(place => ({ ...place, distance: getDistanceKm(reference[0], reference[1], place.lat, place.lon) }))
+        .sort((a, b) => a.distance - b.distance)
+      
+      setSearchResults(data)
+      setResultOrder('distance')
+      setResultLimit(category ? RESULTS_PAGE.category : RESULTS_PAGE.search)
+      setSelectedPlace(null)
+      setSearchMarker(null)
+      setFilterMarkers(category ? toFilterMarkers(data.slice(0, RESULTS_PAGE.category), category.color) : [])
+      showToast(data.length > 0 ? `🔍 ${data.length} found in this area` : '🔍 Nothing found in this area')
+    } catch (error) {
+      console.error('Area search failed:', error)
+      showToast('🔍 Could not search this area')
+    }
+    setIsSearching(false)
+  }
+  
+  // "Search this area" shows once the map has moved away from the last search
+  // (not over the route panel, nor while the map follows navigation)
+  const canSearchThisArea = Boolean(
+    activeSearch && mapView && !routeInfo && !isNavigating && !isAnimating && !isSearching &&
+    hasViewMoved(activeSearch.view, mapView)
+  )
+
+  // List the next page of results (and map them, for categories)
+  const handleLoadMore = () => {
+    const next = resultLimit + (activeFilter ? RESULTS_PAGE.category : RESULTS_PAGE.search)
+    setResultLimit(next)
+    if (activeFilter) {
+      const category = categories.find(c => c.id === activeFilter)
+      setFilterMarkers(toFilterMarkers(sortedResults.slice(0, next), category?.color))
+    }
+  }
+
+  // Re-sort the results; category markers follow the listed page
+  const handleResultOrder = (order) => {
+    setResultOrder(order)
+    if (activeFilter) {
+      const category = categories.find(c => c.id === activeFilter)
+      setFilterMarkers(toFilterMarkers(sortResults(searchResults, order).slice(0, resultLimit), category?.color))
+    }
+  }
+
+  // Switch base map and close the picker
+  const handleBaseMapChange = (id) => {
+    changeBaseMap(id)
+    setShowBaseMaps(false)
+  }
+
+  // Limit category filters to a reachable band and re-run the active filter
+  const handleIsochroneLimit = (minutes) => {
+    isochroneTool.setLimit(minutes)
+    
+    const category = categories.find(c => c.id === activeFilter)
+    if (category) {
+      handleCategoryFilter(category, { refresh: true, limitBand: minutes })
+    }
+  }
+
   // Handle clicking on a search result - shows action options
   const handleResultClick = (result) => {
     if (isAnimating) return
     
-    const lat = parseFloat(result.lat)
-    const lon = parseFloat(result.lon)
+    const { lat, lon } = result
     
     // Just select it, don't fly yet - let user choose action
     setSelectedPlace({
-      name: result.display_name.split(',')[0],
-      address: result.display_name,
+      id: result.id,
+      name: result.name,
+      address: result.address,
+      addressParts: result.addressParts,
       lat,
       lon,
+      type: result.type,
+      category: result.category,
+      details: result.details,
       distance: result.distance
     })
     
     // Show marker on map
     setSearchMarker({
       position: [lat, lon],
-      name: result.display_name.split(',')[0]
+      name: result.name
     })
     
     // Don't close sidebar - show the action buttons instead
@@ -491,6 +978,26 @@ function App() {
     showToast(`📍 Going to ${selectedPlace.name}`)
   }, [selectedPlace, isAnimating, flyTo, showToast])
 
+  // Directions to the pin - it is also the bias point, so the start is left to choose
+  const handleRouteToPin = useCallback(() => {
+    if (!selectedPlace || isAnimating) return
+    
+    setDirectionsFrom(null)
+    setDirectionsTo({ name: selectedPlace.name, position: [selectedPlace.lat, selectedPlace.lon] })
+    setSidebarView('directions')
+    setShowSidebar(true)
+  }, [selectedPlace, isAnimating])
+
+  // Copy the pin's coordinates in one format
+  const handleCopyCoordinates = useCallback(async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text)
+      showToast(`📋 ${label} copied`)
+    } catch {
+      showToast('❌ Failed to copy')
+    }
+  }, [showToast])
+
   // Native share handler
   const handleShare = useCallback(async () => {
     if (!selectedPlace) return
@@ -524,74 +1031,558 @@ function App() {
     }
   }, [selectedPlace, showToast])
 
-  // Native directions handler - fetches actual road route
-  const handleDirections = useCallback(async () => {
+  // Fetch a road route through waypoints ({ name, position }) and show it,
+  // falling back to the offline road extract, then to straight lines
+  const showRoute = useCallback(async (waypoints, mode, optimize = false) => {
+    const destination = waypoints[waypoints.length - 1].name
+    const points = waypoints.map(w => w.position)
+    
+    let result = null
+    try {
+      result = await fetchRoute(points, mode, { optimize, settings: routingSettings })
+    } catch (error) {
+      console.error('Routing failed:', error)
+    }
+    // No server route (no signal, or server down) - try the loaded road extract
+    const offline = !result && offlineGraph !== null
+    if (offline) {
+      result = routeOffline(offlineGraph, points, mode)
+    }
+    
+    if (result) {
+      const ordered = result.order ? result.order.map(i => waypoints[i]) : waypoints
+      if (result.order) {
+        // Keep the stop list in the optimized visiting order
+        setStops(ordered.filter(w => w.id))
+      }
+      
+      // Every candidate route (best first); the active one is spread on top
+      const routes = result.routes.map(route => ({
+        ...route, // Actual road path, distance, duration, steps
+        legs: route.legs.map((leg, i) => ({ ...leg, to: ordered[i + 1].name }))
+      }))
+      setRouteInfo({
+        waypoints: ordered,
+        destination,
+        mode,
+        routes,
+        activeRoute: 0,
+        offline,
+        ...routes[0]
+      })
+      setActiveStep(null)
+      
+      setShowSidebar(false)
+      const best = routes[0]
+      const alternativesNote = routes.length > 1 ? ` (+${routes.length - 1} alt)` : ''
+      const icon = offline ? '📴' : getTravelMode(mode).icon
+      showToast(`${icon} ${formatDistance(best.distance)} • ${formatDuration(best.duration)}${alternativesNote}`)
+      return
+    }
+    
+    // Fallback to straight lines if routing fails
+    let straightDistance = 0
+    for (let i = 1; i < waypoints.length; i++) {
+      const [lat1, lon1] = waypoints[i - 1].position
+      const [lat2, lon2] = waypoints[i].position
+      straightDistance += getDistanceKm(lat1, lon1, lat2, lon2)
+    }
+    setRouteInfo({
+      waypoints,
+      distance: straightDistance,
+      destination,
+      mode,
+      coordinates: waypoints.map(w => w.position) // Straight lines
+    })
+    setActiveStep(null)
+    setSidebarView(view => (view === 'steps' ? 'results' : view))
+    setShowSidebar(false)
+    showToast(`📏 ${formatDistance(straightDistance)} straight`)
+  }, [routingSettings, offlineGraph, showToast])
+
+  // Native directions handler - routes from bias point through any stops to selected place
+  const handleDirections = useCallback(() => {
     if (!selectedPlace || !biasLocation) {
       showToast('📍 Need your location first')
       return
     }
     
-    const [startLat, startLon] = biasLocation
-    const endLat = selectedPlace.lat
-    const endLon = selectedPlace.lon
+    const destination = { name: selectedPlace.name, position: [selectedPlace.lat, selectedPlace.lon] }
+    const viaStops = stops.filter(stop =>
+      stop.position[0] !== selectedPlace.lat || stop.position[1] !== selectedPlace.lon
+    )
     
-    try {
-      // Fetch actual road route from OSRM
-      const response = await fetch(
-        `https://router.project-osrm.org/route/v1/driving/${startLon},${startLat};${endLon},${endLat}?overview=full&geometries=geojson`
-      )
-      const data = await response.json()
-      
-      if (data.code === 'Ok' && data.routes && data.routes.length > 0) {
-        const route = data.routes[0]
-        const coordinates = route.geometry.coordinates.map(coord => [coord[1], coord[0]]) // Convert [lon,lat] to [lat,lon]
-        const distanceKm = route.distance / 1000 // Convert meters to km
-        const durationMin = Math.round(route.duration / 60) // Convert seconds to minutes
-        
-        setRouteInfo({
-          start: biasLocation,
-          end: [endLat, endLon],
-          distance: distanceKm,
-          duration: durationMin,
-          destination: selectedPlace.name,
-          coordinates: coordinates // Actual road path
-        })
-        
-        setShowSidebar(false)
-        showToast(`🧭 ${formatDistance(distanceKm)} • ${durationMin} min`)
-      } else {
-        // Fallback to straight line if routing fails
-        const straightDistance = getDistanceKm(startLat, startLon, endLat, endLon)
-        setRouteInfo({
-          start: biasLocation,
-          end: [endLat, endLon],
-          distance: straightDistance,
-          destination: selectedPlace.name,
-          coordinates: [biasLocation, [endLat, endLon]] // Straight line
-        })
-        setShowSidebar(false)
-        showToast(`📏 ${formatDistance(straightDistance)} straight`)
+    showRoute(
+      [{ name: 'Start', position: biasLocation }, ...viaStops, destination],
+      travelMode,
+      optimizeStops
+    )
+  }, [selectedPlace, biasLocation, stops, travelMode, optimizeStops, showRoute, showToast])
+
+  // Route through the stop list only - the last stop is the destination
+  const handleRouteStops = useCallback(() => {
+    if (!biasLocation) {
+      showToast('📍 Need your location first')
+      return
+    }
+    
+    showRoute([{ name: 'Start', position: biasLocation }, ...stops], travelMode, optimizeStops)
+  }, [biasLocation, stops, travelMode, optimizeStops, showRoute, showToast])
+
+  // Open the directions form, prefilled from the bias point and selected place
+  const handleOpenDirections = useCallback(() => {
+    if (isAnimating) return
+    
+    if (!directionsFrom && biasLocation) {
+      setDirectionsFrom({ name: biasType === 'user' ? 'My location' : 'Dropped pin', position: biasLocation })
+    }
+    if (selectedPlace) {
+      setDirectionsTo({ name: selectedPlace.name, position: [selectedPlace.lat, selectedPlace.lon] })
+    }
+    setSidebarView('directions')
+    setShowSidebar(true)
+  }, [isAnimating, directionsFrom, biasLocation, biasType, selectedPlace])
+
+  // Choose a directions endpoint by tapping the map
+  const handlePickOnMap = useCallback((field) => {
+    setPickingField(field)
+    setShowSidebar(false)
+    showToast(`🗺️ Tap the map to set the ${field === 'from' ? 'starting point' : 'destination'}`)
+  }, [showToast])
+
+  // Route between the two form endpoints (through any stops)
+  const handleDirectionsSubmit = useCallback(() => {
+    if (!directionsFrom?.position || !directionsTo?.position) return
+    
+    showRoute([directionsFrom, ...stops, directionsTo], travelMode, optimizeStops)
+  }, [directionsFrom, directionsTo, stops, travelMode, optimizeStops, showRoute])
+
+  // Swap origin and destination - also reverses the route on screen
+  const handleSwapDirections = useCallback(() => {
+    setDirectionsFrom(directionsTo)
+    setDirectionsTo(directionsFrom)
+    
+    if (routeInfo) {
+      const reversed = [...routeInfo.waypoints].reverse()
+      if (reversed.some(w => w.id)) {
+        setStops(reversed.filter(w => w.id))
       }
+      showRoute(reversed, routeInfo.mode)
+    }
+  }, [directionsFrom, directionsTo, routeInfo, showRoute])
+
+  // Switch travel mode - remembered and re-routes the current route
+  const handleTravelModeChange = useCallback((mode) => {
+    setTravelMode(mode)
+    saveTravelMode(mode)
+    
+    if (routeInfo && routeInfo.mode !== mode) {
+      showRoute(routeInfo.waypoints, mode)
+    }
+  }, [routeInfo, showRoute])
+
+  // Open the settings page in the sidebar
+  const handleOpenSettings = useCallback(() => {
+    setSidebarView('settings')
+    setShowSidebar(true)
+  }, [])
+
+  // Open the category chip editor in the sidebar
+  const handleOpenCategories = useCallback(() => {
+    setSidebarView('categories')
+    setShowSidebar(true)
+  }, [])
+
+  // Open the offline map regions in the sidebar
+  const handleOpenOfflineMaps = useCallback(() => {
+    setSidebarView('offline')
+    setShowSidebar(true)
+  }, [])
+
+  // Open the imported layers in the sidebar
+  const handleOpenLayers = useCallback(() => {
+    setSidebarView('layers')
+    setShowSidebar(true)
+  }, [])
+
+  const handleLayerShow = (layer) => {
+    importedLayers.show(layer)
+    setShowSidebar(false)
+  }
+
+  // Open or close the measure tool; it takes over map taps from the drawing tools
+  const handleMeasureToggle = () => {
+    if (isMeasuring) {
+      measureTool.close()
+      return
+    }
+    measureTool.open()
+    sketchTool.startDrawing(null)
+    setShowSidebar(false)
+  }
+
+  // Pick a drawing tool (or none); a new tool starts a fresh sketch
+  const handleDrawModeChange = (mode) => {
+    sketchTool.startDrawing(mode)
+    if (!mode) return
+    measureTool.close()
+    setSidebarView(view => (view === 'sketch' ? 'layers' : view))
+    setShowSidebar(false)
+    showToast(mode === 'point' ? '✏️ Tap the map to place the point' : '✏️ Tap the map to add points, then ✓')
+  }
+
+  const handleDrawFinish = () => {
+    if (sketchTool.finishDrawing()) openSketchEditor()
+  }
+
+  // Tapped on the map - open it for editing where it is
+  const handleSketchOpen = (sketch) => {
+    sketchTool.open(sketch)
+    openSketchEditor()
+  }
+
+  // Picked from the layer list - also bring it into view
+  const handleSketchSelect = (sketch) => {
+    sketchTool.select(sketch)
+    openSketchEditor()
+  }
+
+  const handleSketchDone = () => {
+    closeSketch()
+    setSidebarView('layers')
+    setShowSidebar(false)
+  }
+
+  const handleSketchDelete = () => {
+    sketchTool.remove()
+    setSidebarView('layers')
+  }
+
+  // Start (or stop) tapping the area's corners on the map
+  const handleRegionDraw = () => {
+    if (!offline.toggleDrawing()) return
+    setShowSidebar(false)
+    showToast('📐 Tap one corner of the area, then the opposite one')
+  }
+
+  // Fit a saved region on screen, on the base map it was saved from
+  const handleRegionShow = (region) => {
+    const [south, west, north, east] = region.bounds
+    if (offline.getSource(region) && region.sourceId !== baseMap.id) changeBaseMap(region.sourceId)
+    mapInstanceRef.current?.fitBounds([[south, west], [north, east]])
+    setShowSidebar(false)
+  }
+
+  // Apply and remember the chip list; a filter whose chip is gone or hidden is cleared
+  const handleCategoriesChange = useCallback((next) => {
+    setCategories(saveCategories(next))
+    if (activeFilter && !next.some(category => category.id === activeFilter && !category.hidden)) {
+      setActiveFilter(null)
+      setActiveSearch(null)
+      setSearchResults([])
+      setFilterMarkers([])
+    }
+    // "Search this area" can't re-run a category that no longer exists
+    setActiveSearch(current => (current?.categoryId && !next.some(category => category.id === current.categoryId)
+      ? null
+      : current))
+  }, [activeFilter])
+
+  const handleCategoriesReset = useCallback(() => {
+    handleCategoriesChange(resetCategories())
+    showToast('🏷️ Categories reset')
+  }, [handleCategoriesChange, showToast])
+
+  // Replace the chips with a shared set
+  const handleCategoriesImport = useCallback(async (file) => {
+    try {
+      const imported = readCategoriesFile(await file.text())
+      handleCategoriesChange(imported)
+      showToast(`🏷️ ${imported.length} categories imported`)
     } catch (error) {
-      console.error('Routing failed:', error)
-      // Fallback to straight line
-      const straightDistance = getDistanceKm(startLat, startLon, endLat, endLon)
-      setRouteInfo({
-        start: biasLocation,
-        end: [endLat, endLon],
-        distance: straightDistance,
-        destination: selectedPlace.name,
-        coordinates: [biasLocation, [endLat, endLon]]
-      })
-      setShowSidebar(false)
-      showToast(`📏 ${formatDistance(straightDistance)}`)
+      console.error('Category import failed:', error)
+      showToast(`❌ ${error.message}`)
+    }
+  }, [handleCategoriesChange, showToast])
+
+  const handleCategoriesExport = useCallback(() => {
+    downloadFile(toCategoriesFile(categories), 'application/json', 'litemap-categories', 'json')
+    showToast(`📤 ${categories.length} categories exported`)
+  }, [categories, showToast])
+
+  // Apply and remember routing settings - used from the next route on
+  const handleRoutingSave = useCallback((settings) => {
+    setRoutingSettings(settings)
+    saveRoutingSettings(settings)
+    showToast('⚙️ Routing settings saved')
+  }, [showToast])
+
+  const handleRoutingReset = useCallback(() => {
+    setRoutingSettings(resetRoutingSettings())
+    showToast('⚙️ Routing settings reset')
+  }, [showToast])
+
+  // Apply and remember geocoding settings - used from the next search on
+  const handleGeocodingSave = useCallback((settings) => {
+    setGeocodingSettings(settings)
+    saveGeocodingSettings(settings)
+    showToast('⚙️ Search settings saved')
+  }, [showToast])
+
+  const handleGeocodingReset = useCallback(() => {
+    setGeocodingSettings(resetGeocodingSettings())
+    showToast('⚙️ Search settings reset')
+  }, [showToast])
+
+  const handleOverpassSave = useCallback((settings) => {
+    setOverpassSettings(settings)
+    saveOverpassSettings(settings)
+    showToast('⚙️ Category settings saved')
+  }, [showToast])
+
+  const handleOverpassReset = useCallback(() => {
+    setOverpassSettings(resetOverpassSettings())
+    showToast('⚙️ Category settings reset')
+  }, [showToast])
+
+  // A new region moves the map to its center
+  const applySearchSettings = useCallback((settings) => {
+    if (settings.region !== searchSettings.region) {
+      flyTo(getRegionProfile(settings.region).center, 13)
+    }
+    setSearchSettings(settings)
+  }, [searchSettings, flyTo])
+
+  const handleSearchAreaSave = useCallback((settings) => {
+    applySearchSettings(settings)
+    saveSearchSettings(settings)
+    showToast('⚙️ Search area saved')
+  }, [applySearchSettings, showToast])
+
+  const handleSearchAreaReset = useCallback(() => {
+    applySearchSettings(resetSearchSettings())
+    showToast('⚙️ Search area reset')
+  }, [applySearchSettings, showToast])
+
+  // Load an OSM road extract for offline routing
+  const handleOfflineRoadsLoad = useCallback(async (file) => {
+    setIsLoadingRoads(true)
+    try {
+      const graph = await importRoadExtract(file)
+      setOfflineGraph(graph)
+      showToast(`📴 ${describeRoadGraph(graph).roadCount} roads ready for offline routing`)
+    } catch (error) {
+      console.error('Road extract import failed:', error)
+      showToast(`❌ ${error.message || 'Could not read road extract'}`)
+    } finally {
+      setIsLoadingRoads(false)
+    }
+  }, [showToast])
+
+  const handleOfflineRoadsRemove = useCallback(async () => {
+    await removeRoadExtract()
+    setOfflineGraph(null)
+    showToast('📴 Offline roads removed')
+  }, [showToast])
+
+  // Add a place ({ name, position }) to the end of the stop list
+  const addStop = useCallback((place) => {
+    const exists = stops.some(stop =>
+      stop.position[0] === place.position[0] && stop.position[1] === place.position[1]
+    )
+    if (exists) {
+      showToast('➕ Already a stop')
+      return
+    }
+    
+    setStops([...stops, { ...place, id: `stop-${Date.now()}` }])
+    showToast(`➕ Stop ${stops.length + 1}: ${place.name}`)
+  }, [stops, showToast])
+
+  const removeStop = useCallback((id) => {
+    setStops(prev => prev.filter(stop => stop.id !== id))
+  }, [])
+
+  // Move a stop from one position to another (drag and drop or arrows)
+  const moveStop = useCallback((from, to) => {
+    if (to < 0 || to >= stops.length || from === to) return
+    
+    const next = [...stops]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    setStops(next)
+  }, [stops])
+
+  // Switch the active route to one of the alternatives
+  const selectRoute = useCallback((index) => {
+    setRouteInfo(prev => (prev && prev.routes ? { ...prev, ...prev.routes[index], activeRoute: index } : prev))
+    setActiveStep(null)
+  }, [])
+
+  // Open the turn-by-turn list in the sidebar
+  const handleShowSteps = useCallback(() => {
+    setSidebarView('steps')
+    setShowSidebar(true)
+  }, [])
+
+  // Tap a step - zoom to the maneuver and highlight that stretch of road
+  const handleStepClick = useCallback((index) => {
+    if (isAnimating || !routeInfo?.steps) return
+    
+    setActiveStep(index)
+    flyTo(routeInfo.steps[index].location, 18)
+  }, [isAnimating, routeInfo, flyTo])
+
+  // Route distances used to track progress while navigating
+  const routeProgress = useMemo(() => {
+    if (!routeInfo) return null
+    
+    const cumulative = getCumulativeDistances(routeInfo.coordinates)
+    let total = 0
+    const stepStarts = routeInfo.steps?.map(step => {
+      const start = total
+      total += step.distance
+      return start
+    })
+    total = 0
+    const legEnds = routeInfo.legs?.map(leg => (total += leg.distance))
+    
+    return { cumulative, stepStarts, legEnds }
+  }, [routeInfo])
+
+  const stopNavigation = useCallback(() => {
+    setIsNavigating(false)
+    setNavState(null)
+  }, [])
+
+  const startNavigation = useCallback(() => {
+    if (!navigator.geolocation) {
+      showToast('📍 Location not available')
+      return
     }
-  }, [selectedPlace, biasLocation, showToast])
+    
+    offRouteFixes.current = 0
+    setIsNavigating(true)
+    setShowSidebar(false)
+    showToast('🧭 Navigation started')
+  }, [showToast])
+
+  // Each GPS fix - count down, follow the route, reroute when off it
+  const handleNavPosition = useCallback((position, heading) => {
+    if (!routeInfo || !routeProgress) return
+    
+    const { cumulative, stepStarts, legEnds } = routeProgress
+    const lineLength = cumulative[cumulative.length - 1] || 1
+    const snap = snapToLine(position, routeInfo.coordinates, cumulative)
+    // Scale the geometry distance to the router's own distance figures
+    const alongKm = routeInfo.distance * (snap.alongKm / lineLength)
+    const remainingKm = Math.max(0, routeInfo.distance - alongKm)
+    const isOffRoute = snap.offsetKm > OFF_ROUTE_KM
+    
+    if (!isOffRoute && remainingKm < ARRIVAL_KM) {
+      stopNavigation()
+      showToast('🏁 You have arrived')
+      return
+    }
+    
+    offRouteFixes.current = isOffRoute ? offRouteFixes.current + 1 : 0
+    if (offRouteFixes.current >= OFF_ROUTE_FIXES && !isRerouting.current) {
+      offRouteFixes.current = 0
+      isRerouting.current = true
+      // Keep only the stops not reached yet
+      const remaining = legEnds
+        ? routeInfo.waypoints.slice(1).filter((w, i) => legEnds[i] > alongKm)
+        : routeInfo.waypoints.slice(1)
+      showToast('🔄 Rerouting…')
+      showRoute([{ name: 'My location', position }, ...remaining], routeInfo.mode)
+        .finally(() => { isRerouting.current = false })
+    }
+    
+    // Face along the route; use the compass heading when we've left it
+    const segment = Math.min(snap.segment + 1, routeInfo.coordinates.length - 1)
+    const routeBearing = getBearing(routeInfo.coordinates[snap.segment], routeInfo.coordinates[segment])
+    const bearing = isOffRoute && Number.isFinite(heading) ? heading : routeBearing
+    
+    const nextIndex = stepStarts ? stepStarts.findIndex(start => start > alongKm) : -1
+    const remainingMin = routeInfo.duration !== undefined
+      ? Math.round(routeInfo.duration * remainingKm / (routeInfo.distance || 1))
+      : null
+    
+    setNavState({
+      position,
+      bearing,
+      remainingKm,
+      remainingMin,
+      arrivalTime: remainingMin !== null ? Date.now() + remainingMin * 60000 : null,
+      nextStep: nextIndex >= 0
+        ? { ...routeInfo.steps[nextIndex], distanceTo: stepStarts[nextIndex] - alongKm }
+        : null
+    })
+  }, [routeInfo, routeProgress, showRoute, stopNavigation, showToast])
+
+  const handleNavError = useCallback(() => {
+    stopNavigation()
+    showToast('📍 Lost your location')
+  }, [stopNavigation, showToast])
+
+  // Download the current route (line + waypoints) as GPX/GeoJSON/KML
+  const handleExportRoute = useCallback((format) => {
+    if (!routeInfo) return
+    
+    const name = `Route to ${routeInfo.destination}`
+    const last = routeInfo.waypoints.length - 1
+    downloadExport({
+      name,
+      route: {
+        name,
+        coordinates: routeInfo.coordinates,
+        properties: {
+          mode: getTravelMode(routeInfo.mode).label,
+          distance_km: Number(routeInfo.distance.toFixed(2)),
+          duration_min: routeInfo.duration,
+          destination: routeInfo.destination,
+          geometry: routeInfo.steps ? 'road' : 'straight line'
+        }
+      },
+      places: routeInfo.waypoints.map((waypoint, index) => ({
+        name: waypoint.name,
+        position: waypoint.position,
+        properties: { role: index === 0 ? 'start' : index === last ? 'destination' : `stop ${index}` }
+      }))
+    }, format, 'litemap-route')
+    showToast('📤 Route exported')
+  }, [routeInfo, showToast])
+
+  // Download the listed search/filter results as points
+  const handleExportResults = useCallback((format) => {
+    if (visibleResults.length === 0) return
+    
+    const category = categories.find(c => c.id === activeFilter)
+    downloadExport({
+      name: category ? `${category.label} nearby` : `Search: ${searchQuery}`,
+      route: null,
+      places: visibleResults.map(result => ({
+        name: result.name,
+        position: [result.lat, result.lon],
+        properties: {
+          address: result.address,
+          ...result.addressParts,
+          category: category?.label,
+          type: result.type,
+          distance_km: result.distance !== undefined ? Number(result.distance.toFixed(2)) : undefined
+        }
+      }))
+    }, format, 'litemap-results')
+    showToast(`📤 ${visibleResults.length} places exported`)
+  }, [visibleResults, categories, activeFilter, searchQuery, showToast])
 
   // Clear route
   const clearRoute = useCallback(() => {
     setRouteInfo(null)
-  }, [])
+    setActiveStep(null)
+    setSidebarView('results')
+    stopNavigation()
+  }, [stopNavigation])
 
   // Clear all markers and results
   const clearAll = () => {
@@ -599,8 +1590,13 @@ function App() {
     setSearchMarker(null)
     setSelectedPlace(null)
     setActiveFilter(null)
+    setActiveSearch(null)
     setSearchResults([])
     setRouteInfo(null)
+    setActiveStep(null)
+    setSidebarView('results')
+    setStops([])
+    stopNavigation()
     // Keep bias location
   }
 
@@ -612,8 +1608,14 @@ function App() {
     setSearchMarker(null)
     setSelectedPlace(null)
     setActiveFilter(null)
+    setActiveSearch(null)
     setSearchResults([])
     setRouteInfo(null)
+    setActiveStep(null)
+    setSidebarView('results')
+    setStops([])
+    setIsNavigating(false)
+    setNavState(null)
     setBiasLocation(null)
     setBiasType(null)
     setSearchQuery('')
@@ -700,25 +1702,29 @@ function App() {
           <span>LiteMap</span>
         </div>
 
-        <form className="search-form" onSubmit={handleSearch}>
-          <input
-            type="text"
-            placeholder="Search places..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            disabled={isAnimating}
-            aria-label="Search for a place"
-          />
-          <button type="submit" disabled={isSearching || isAnimating} aria-label="Search">
-            {isSearching ? (
-              <span className="spinner"></span>
-            ) : (
-              <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
-                <path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
-              </svg>
-            )}
-          </button>
-        </form>
+        <SearchBox
+          value={searchQuery}
+          onChange={setSearchQuery}
+          onSearch={handleSearch}
+          onSelectPlace={handleSuggestionSelect}
+          isSearching={isSearching}
+          disabled={isAnimating}
+          biasLocation={biasLocation}
+          recentSearches={recentSearches}
+          savedPlaces={savedPlaces}
+          geocodingSettings={geocodingSettings}
+          onClearRecent={() => setRecentSearches(clearRecentSearches())}
+        />
+
+        <button 
+          className="menu-btn directions-btn"
+          onClick={handleOpenDirections}
+          aria-label="Directions"
+        >
+          <svg viewBox="0 0 24 24" width="24" height="24" fill="currentColor">
+            <path d="M21.71 11.29l-9-9c-.39-.39-1.02-.39-1.41 0l-9 9c-.39.39-.39 1.02 0 1.41l9 9c.39.39 1.02.39 1.41 0l9-9c.39-.38.39-1.01 0-1.41zM14 14.5V12h-4v3H8v-4c0-.55.45-1 1-1h5V7.5l3.5 3.5-3.5 3.5z"/>
+          </svg>
+        </button>
       </header>
 
       <main className="main">
@@ -734,7 +1740,21 @@ function App() {
         <aside className={`sidebar ${showSidebar ? 'open' : ''}`}>
           <div className="sidebar-header">
             <h2>
-              {searchResults.length > 0 
+              {sidebarView === 'settings'
+                ? 'Settings'
+                : sidebarView === 'categories'
+                ? 'Categories'
+                : sidebarView === 'offline'
+                ? 'Offline maps'
+                : sidebarView === 'layers'
+                ? 'Layers'
+                : sidebarView === 'sketch'
+                ? 'Edit sketch'
+                : sidebarView === 'directions' || (sidebarView === 'steps' && routeInfo?.steps)
+                ? 'Directions'
+                : selectedPlace?.isPin
+                ? 'What\'s here'
+                : showResultsList
                 ? (activeFilter 
                     ? `${categories.find(c => c.id === activeFilter)?.label || 'Results'} Nearby`
                     : 'Search Results')
@@ -753,84 +1773,265 @@ function App() {
           </div>
           
           <div className="sidebar-content">
-            {/* Search Results */}
-            {searchResults.length > 0 ? (
-              <ul className="results-list">
-                {searchResults.map((result, index) => {
-                  const isSelected = selectedPlace && 
-                    selectedPlace.lat === parseFloat(result.lat) && 
-                    selectedPlace.lon === parseFloat(result.lon)
-                  
-                  return (
-                    <li key={index} className={isSelected ? 'selected' : ''}>
-                      <button 
-                        className={`result-item ${isSelected ? 'active' : ''}`}
-                        onClick={() => handleResultClick(result)}
-                        disabled={isAnimating}
-                      >
-                        <div className="result-icon">
-                          <svg viewBox="0 0 24 24" width="24" height="24" fill={isSelected ? '#4285f4' : '#ea4335'}>
-                            <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
-                          </svg>
-                        </div>
-                        <div className="result-info">
-                          <strong>{result.display_name.split(',')[0]}</strong>
-                          <small>{result.display_name.split(',').slice(1, 3).join(',')}</small>
-                        </div>
-                        {result.distance !== undefined && (
-                          <span className="result-distance">{formatDistance(result.distance)}</span>
+            {/* Settings page */}
+            {sidebarView === 'settings' ? (
+              <Settings
+                routing={routingSettings}
+                onRoutingSave={handleRoutingSave}
+                onRoutingReset={handleRoutingReset}
+                geocoding={geocodingSettings}
+                onGeocodingSave={handleGeocodingSave}
+                onGeocodingReset={handleGeocodingReset}
+                searchArea={searchSettings}
+                onSearchAreaSave={handleSearchAreaSave}
+                onSearchAreaReset={handleSearchAreaReset}
+                overpass={overpassSettings}
+                onOverpassSave={handleOverpassSave}
+                onOverpassReset={handleOverpassReset}
+                offlineRoads={offlineGraph && describeRoadGraph(offlineGraph)}
+                isLoadingRoads={isLoadingRoads}
+                onOfflineRoadsLoad={handleOfflineRoadsLoad}
+                onOfflineRoadsRemove={handleOfflineRoadsRemove}
+              />
+            ) : /* Category chip editor */
+            sidebarView === 'categories' ? (
+              <CategoryEditor
+                categories={categories}
+                onChange={handleCategoriesChange}
+                onReset={handleCategoriesReset}
+                onImport={handleCategoriesImport}
+                onExport={handleCategoriesExport}
+              />
+            ) : /* Offline map regions */
+            sidebarView === 'offline' ? (
+              <OfflineMaps
+                key={baseMap.id}
+                regions={offline.regions}
+                baseMap={baseMap}
+                draftBounds={offline.draft}
+                isDrawing={regionDrawing !== null}
+                progress={offline.progress}
+                initialZoom={mapView?.zoom ?? 13}
+                canRefresh={offline.canRefresh}
+                onUseView={() => offline.chooseArea(getMapView(mapInstanceRef.current).bounds)}
+                onDraw={handleRegionDraw}
+                onDownload={offline.downloadDraft}
+                onCancel={offline.cancel}
+                onShow={handleRegionShow}
+                onRefresh={offline.refresh}
+                onDelete={offline.remove}
+              />
+            ) : /* Imported layers */
+            sidebarView === 'layers' ? (
+              <LayerList
+                layers={importedLayers.layers}
+                isImporting={importedLayers.isImporting}
+                onImport={importedLayers.importFiles}
+                onToggle={importedLayers.toggle}
+                onShow={handleLayerShow}
+                onRemove={importedLayers.remove}
+                sketches={sketchTool.sketches}
+                sketchesVisible={sketchTool.visible}
+                onSketchSelect={handleSketchSelect}
+                onSketchesToggle={() => sketchTool.setVisible(!sketchTool.visible)}
+                onSketchesExport={sketchTool.exportAll}
+              />
+            ) : /* Sketch editor */
+            sidebarView === 'sketch' && editingSketch ? (
+              <SketchEditor
+                key={editingSketch.id}
+                sketch={editingSketch}
+                onChange={sketchTool.update}
+                onDelete={handleSketchDelete}
+                onDone={handleSketchDone}
+              />
+            ) : /* Directions form */
+            sidebarView === 'directions' ? (
+              <DirectionsForm
+                from={directionsFrom}
+                to={directionsTo}
+                onFromChange={setDirectionsFrom}
+                onToChange={setDirectionsTo}
+                onSwap={handleSwapDirections}
+                onPickOnMap={handlePickOnMap}
+                pickingField={pickingField}
+                onSubmit={handleDirectionsSubmit}
+                biasLocation={biasLocation}
+                biasType={biasType}
+                geocodingSettings={geocodingSettings}
+                travelModes={TRAVEL_MODES}
+                travelMode={travelMode}
+                onTravelModeChange={handleTravelModeChange}
+                disabled={isAnimating}
+              />
+            ) : /* Turn-by-turn steps */
+            sidebarView === 'steps' && routeInfo?.steps ? (
+              <ol className="steps-list">
+                {routeInfo.steps.map((step, index) => (
+                  <li key={index}>
+                    <button
+                      className={`step-item ${activeStep === index ? 'active' : ''}`}
+                      onClick={() => handleStepClick(index)}
+                      disabled={isAnimating}
+                    >
+                      <span className="step-icon">{step.icon}</span>
+                      <span className="step-instruction">{step.instruction}</span>
+                      {step.distance > 0 && (
+                        <span className="step-distance">{formatDistance(step.distance)}</span>
+                      )}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            ) : /* Search Results */
+            showResultsList ? (
+              <>
+                {searchResults.length > 1 && (
+                  <label className="results-order">
+                    Sort by
+                    <select value={resultOrder} onChange={(e) => handleResultOrder(e.target.value)} disabled={isAnimating}>
+                      {Object.entries(RESULT_ORDERS).map(([order, { label }]) => (
+                        <option key={order} value={order}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <ul className="results-list">
+                  {visibleResults.map((result, index) => {
+                    const isSelected = selectedPlace && 
+                      selectedPlace.lat === result.lat && 
+                      selectedPlace.lon === result.lon
+                    // Heading where a new barangay/city starts ('' = places without one)
+                    const groupField = RESULT_ORDERS[resultOrder].group ? getAddressField(result, resultOrder) : null
+                    const groupLabel = groupField !== null && (index === 0 || getAddressField(visibleResults[index - 1], resultOrder) !== groupField)
+                      ? groupField
+                      : null
+                    
+                    return (
+                      <Fragment key={index}>
+                        {groupLabel !== null && (
+                          <li className="results-group">{groupLabel || `No ${RESULT_ORDERS[resultOrder].label.toLowerCase()}`}</li>
                         )}
-                      </button>
-                      
-                      {/* Action buttons - show below selected result */}
-                      {isSelected && (
-                        <div className="result-actions">
-                          <button onClick={handleLocateSelected} className="btn-primary">
-                            <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
-                              <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
-                            </svg>
-                            Locate
-                          </button>
-                          <button onClick={handleDirections}>
-                            <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
-                              <path d="M21.71 11.29l-9-9c-.39-.39-1.02-.39-1.41 0l-9 9c-.39.39-.39 1.02 0 1.41l9 9c.39.39 1.02.39 1.41 0l9-9c.39-.38.39-1.01 0-1.41zM14 14.5V12h-4v3H8v-4c0-.55.45-1 1-1h5V7.5l3.5 3.5-3.5 3.5z"/>
-                            </svg>
-                            Route
-                          </button>
-                          <button onClick={handleShare}>
-                            <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
-                              <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
-                            </svg>
-                            Share
+                        <li className={isSelected ? 'selected' : ''}>
+                          <button 
+                            className={`result-item ${isSelected ? 'active' : ''}`}
+                            onClick={() => handleResultClick(result)}
+                            disabled={isAnimating}
+                          >
+                            <div className="result-icon">
+                              <svg viewBox="0 0 24 24" width="24" height="24" fill={isSelected ? '#4285f4' : '#ea4335'}>
+                                <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
+                              </svg>
+                            </div>
+                            <div className="result-info">
+                              <strong>{result.name}</strong>
+                              <small>{getAddressLine(result)}</small>
+                              {result.details?.openingHours && (
+                                <small className="result-hours">🕘 {result.details.openingHours}</small>
+                              )}
+                            </div>
+                            {result.distance !== undefined && (
+                              <span className="result-distance">{formatDistance(result.distance)}</span>
+                            )}
                           </button>
-                        </div>
-                      )}
+                          
+                          {/* Contact details and action buttons - show below selected result */}
+                          {isSelected && <PlaceDetails details={result.details} />}
+                          {isSelected && (
+                            <div className="result-actions">
+                              <button onClick={handleLocateSelected} className="btn-primary">
+                                <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                                  <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
+                                </svg>
+                                Locate
+                              </button>
+                              <button onClick={handleDirections}>
+                                <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                                  <path d="M21.71 11.29l-9-9c-.39-.39-1.02-.39-1.41 0l-9 9c-.39.39-.39 1.02 0 1.41l9 9c.39.39 1.02.39 1.41 0l9-9c.39-.38.39-1.01 0-1.41zM14 14.5V12h-4v3H8v-4c0-.55.45-1 1-1h5V7.5l3.5 3.5-3.5 3.5z"/>
+                                </svg>
+                                Route
+                              </button>
+                              <button onClick={() => addStop({ name: selectedPlace.name, position: [selectedPlace.lat, selectedPlace.lon] })}>
+                                <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                                  <path d="M13 7h-2v4H7v2h4v4h2v-4h4v-2h-4V7zm-1-5C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z"/>
+                                </svg>
+                                Stop
+                              </button>
+                              <button onClick={handleToggleSaved}>
+                                <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                                  <path d={isSelectedSaved ? 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z' : 'M22 9.24l-7.19-.62L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21 12 17.27 18.18 21l-1.63-7.03L22 9.24zM12 15.4l-3.76 2.27 1-4.28-3.32-2.88 4.38-.38L12 6.1l1.71 4.04 4.38.38-3.32 2.88 1 4.28L12 15.4z'}/>
+                                </svg>
+                                {isSelectedSaved ? 'Saved' : 'Save'}
+                              </button>
+                              <button onClick={handleShare}>
+                                <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                                  <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
+                                </svg>
+                                Share
+                              </button>
+                            </div>
+                          )}
+                        </li>
+                      </Fragment>
+                    )
+                  })}
+                  {searchResults.length > resultLimit && (
+                    <li className="results-more">
+                      <button onClick={handleLoadMore} disabled={isAnimating}>
+                        Load more results ({searchResults.length - resultLimit} more)
+                      </button>
                     </li>
-                  )
-                })}
-              </ul>
+                  )}
+                </ul>
+              </>
             ) : selectedPlace ? (
               <div className="place-card">
+                {searchResults.length > 0 && (
+                  <button className="place-back" onClick={() => setSelectedPlace(null)}>
+                    ← Back to results
+                  </button>
+                )}
                 <h3>{selectedPlace.name}</h3>
-                <p>{selectedPlace.address}</p>
+                <PlaceAddress place={selectedPlace} />
                 {selectedPlace.distance !== undefined && (
                   <p className="place-distance">
                     📍 {formatDistance(selectedPlace.distance)} away
                   </p>
                 )}
-                <div className="place-actions three-buttons">
+                <PlaceDetails details={selectedPlace.details} />
+                {selectedPlace.isPin && (
+                  <WhatsHere
+                    position={[selectedPlace.lat, selectedPlace.lon]}
+                    nearby={pinNearby}
+                    onCopy={handleCopyCoordinates}
+                    onNearbyClick={handleResultClick}
+                  />
+                )}
+                <div className="place-actions grid-buttons">
                   <button onClick={handleLocateSelected} className="btn-primary">
                     <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
                       <path d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
                     </svg>
                     Locate
                   </button>
-                  <button onClick={handleDirections}>
+                  <button onClick={selectedPlace.isPin ? handleRouteToPin : handleDirections}>
                     <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
                       <path d="M21.71 11.29l-9-9c-.39-.39-1.02-.39-1.41 0l-9 9c-.39.39-.39 1.02 0 1.41l9 9c.39.39 1.02.39 1.41 0l9-9c.39-.38.39-1.01 0-1.41zM14 14.5V12h-4v3H8v-4c0-.55.45-1 1-1h5V7.5l3.5 3.5-3.5 3.5z"/>
                     </svg>
                     Route
                   </button>
+                  <button onClick={() => addStop({ name: selectedPlace.name, position: [selectedPlace.lat, selectedPlace.lon] })}>
+                    <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                      <path d="M13 7h-2v4H7v2h4v4h2v-4h4v-2h-4V7zm-1-5C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8z"/>
+                    </svg>
+                    Stop
+                  </button>
+                  <button onClick={handleToggleSaved}>
+                    <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+                      <path d={isSelectedSaved ? 'M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z' : 'M22 9.24l-7.19-.62L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21 12 17.27 18.18 21l-1.63-7.03L22 9.24zM12 15.4l-3.76 2.27 1-4.28-3.32-2.88 4.38-.38L12 6.1l1.71 4.04 4.38.38-3.32 2.88 1 4.28L12 15.4z'}/>
+                    </svg>
+                    {isSelectedSaved ? 'Saved' : 'Save'}
+                  </button>
                   <button onClick={handleShare}>
                     <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
                       <path d="M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z"/>
@@ -850,33 +2051,148 @@ function App() {
               </div>
             )}
 
+            {/* Stops - drag to reorder */}
+            {stops.length > 0 && !isSidebarPage && (
+              <div className="stops-panel">
+                <h3>Stops ({stops.length})</h3>
+                <ol className="stops-list">
+                  {stops.map((stop, index) => (
+                    <li
+                      key={stop.id}
+                      className="stop-item"
+                      draggable
+                      onDragStart={() => { dragStopIndex.current = index }}
+                      onDragOver={(e) => e.preventDefault()}
+                      onDrop={() => {
+                        moveStop(dragStopIndex.current, index)
+                        dragStopIndex.current = null
+                      }}
+                    >
+                      <span className="stop-handle" aria-hidden="true">⠿</span>
+                      <span className="stop-number">{index + 1}</span>
+                      <span className="stop-name">{stop.name}</span>
+                      <button onClick={() => moveStop(index, index - 1)} disabled={index === 0} aria-label="Move up">▲</button>
+                      <button onClick={() => moveStop(index, index + 1)} disabled={index === stops.length - 1} aria-label="Move down">▼</button>
+                      <button onClick={() => removeStop(stop.id)} aria-label="Remove stop">✕</button>
+                    </li>
+                  ))}
+                </ol>
+                {canOptimizeStops(routingSettings) && (
+                  <label className="stops-optimize">
+                    <input
+                      type="checkbox"
+                      checked={optimizeStops}
+                      onChange={(e) => setOptimizeStops(e.target.checked)}
+                    />
+                    Find best order
+                  </label>
+                )}
+                <button className="btn-primary stops-route" onClick={handleRouteStops} disabled={isAnimating}>
+                  Route through stops
+                </button>
+              </div>
+            )}
+
             {/* Quick Actions */}
-            {(filterMarkers.length > 0 || searchMarker || selectedPlace) && (
+            {!isSidebarPage && (filterMarkers.length > 0 || searchMarker || selectedPlace || stops.length > 0) && (
               <div className="quick-actions">
+                {searchResults.length > 0 && (
+                  <ExportMenu onExport={handleExportResults} label="Export results" className="results-export" />
+                )}
                 <button className="clear-btn" onClick={clearAll}>
                   Clear All
                 </button>
               </div>
             )}
           </div>
+          
+          <div className="sidebar-footer">
+            <button
+              className={`settings-btn ${sidebarView === 'settings' ? 'active' : ''}`}
+              onClick={handleOpenSettings}
+            >
+              ⚙️ Settings
+            </button>
+            <button
+              className={`settings-btn ${sidebarView === 'offline' ? 'active' : ''}`}
+              onClick={handleOpenOfflineMaps}
+            >
+              📴 Offline maps
+            </button>
+            <button
+              className={`settings-btn ${sidebarView === 'layers' ? 'active' : ''}`}
+              onClick={handleOpenLayers}
+            >
+              🗂 Layers
+            </button>
+          </div>
         </aside>
 
         {/* MAP */}
-        <div className="map-wrapper">
+        <div 
+          className={`map-wrapper ${isNavigating ? 'navigating' : ''}`}
+          style={{ '--nav-rotation': `${-(navState?.bearing || 0)}deg` }}
+          {...importedLayers.dropTarget}
+        >
           <MapContainer
             center={mapCenter}
             zoom={13}
             className="map"
             zoomControl={false}
-            attributionControl={false}
           >
-            <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+            <BaseTileLayer source={baseMap} useSavedTiles={offline.hasSavedTiles} />
+            
+            {/* Offline areas - saved ones and the one being chosen */}
+            <OfflineRegionsLayer
+              regions={sidebarView === 'offline' ? offline.regions : []}
+              draft={sidebarView === 'offline' || regionDrawing ? offline.draft : null}
+              corner={Array.isArray(regionDrawing) ? regionDrawing : null}
+            />
+            
+            {/* Imported layers - drawn under routes and markers */}
+            {importedLayers.layers.filter(layer => layer.visible).map(layer => (
+              <ImportedLayer key={layer.id} layer={layer} />
+            ))}
+            
+            {/* Sketch layer - tap a sketch to edit it */}
+            <SketchLayer
+              sketches={sketchTool.sketches}
+              visible={sketchTool.visible}
+              editing={editingSketch}
+              drawMode={drawMode}
+              drawPoints={sketchTool.drawPoints}
+              onOpen={handleSketchOpen}
+              onVertexMove={sketchTool.moveVertex}
+              onVertexInsert={sketchTool.insertVertex}
+              onVertexRemove={sketchTool.removeVertex}
+            />
+            
+            {/* Measured path or area */}
+            {measureTool.measure?.points.length > 0 && (
+              <MeasureOverlay
+                mode={measureTool.measure.mode}
+                points={measureTool.measure.points}
+                units={measureTool.units}
+                onMove={measureTool.movePoint}
+              />
+            )}
             
             {/* Grab map instance for external controls */}
             <MapInstanceGrabber onMapReady={handleMapReady} />
             
+            {/* Track pans and zooms for "Search this area" */}
+            <MapViewWatcher onViewChange={setMapView} />
+            
             {/* Handle map clicks - only on map tiles */}
-            <MapClickHandler onMapClick={handleMapClick} disabled={isAnimating} />
+            <MapClickHandler onMapClick={handleMapClick} disabled={isAnimating || isNavigating} />
+            
+            {/* Follow the user while navigating */}
+            <NavigationHandler 
+              active={isNavigating}
+              position={navState?.position}
+              onPosition={handleNavPosition}
+              onError={handleNavError}
+            />
             
             {/* Handle geolocation */}
             <GeolocateHandler 
@@ -891,6 +2207,24 @@ function App() {
             {/* Fly to animation handler */}
             <FlyToHandler flyTarget={flyTarget} onComplete={handleFlyComplete} />
             
+            {/* Live position while navigating */}
+            {navState && (
+              <CircleMarker 
+                center={navState.position}
+                radius={9}
+                pathOptions={{ color: 'white', weight: 3, fillColor: '#4285f4', fillOpacity: 1 }}
+              />
+            )}
+            
+            {/* Search radius around the bias point */}
+            {biasLocation && !isNavigating && (
+              <Circle 
+                center={biasLocation}
+                radius={searchSettings.radiusKm * 1000}
+                pathOptions={{ color: '#4285f4', weight: 1, dashArray: '4 6', fillOpacity: 0.04, interactive: false }}
+              />
+            )}
+            
             {/* Bias location marker - Blue for user, Orange for dropped */}
             {biasLocation && (
               <Marker 
@@ -917,25 +2251,84 @@ function App() {
               <Marker 
                 key={marker.id} 
                 position={marker.position}
-                icon={greenIcon}
+                icon={getCategoryIcon(marker.color || 'green')}
               >
                 <Popup>
                   <strong>{marker.name}</strong>
+                  <button className="popup-btn" onClick={() => addStop({ name: marker.name, position: marker.position })}>
+                    ➕ Add stop
+                  </button>
+                </Popup>
+              </Marker>
+            ))}
+            
+            {/* Stop markers */}
+            {stops.map((stop, index) => (
+              <Marker key={stop.id} position={stop.position} icon={violetIcon}>
+                <Popup>
+                  <strong>Stop {index + 1}: {stop.name}</strong>
                 </Popup>
               </Marker>
             ))}
             
+            {/* Alternative routes - muted, tap to select */}
+            {routeInfo?.routes && routeInfo.routes.map((route, index) => index !== routeInfo.activeRoute && (
+              <Polyline 
+                key={`alt-${index}`}
+                positions={route.coordinates}
+                pathOptions={ALTERNATIVE_ROUTE_STYLE}
+                eventHandlers={{
+                  click: (e) => {
+                    L.DomEvent.stopPropagation(e) // Don't drop a pin
+                    selectRoute(index)
+                  }
+                }}
+              />
+            ))}
+            
+            {/* Reachable areas within each time band */}
+            {isochrone && <IsochroneLayer bands={isochrone.bands} />}
+            
             {/* Route line - follows actual roads */}
             {routeInfo && routeInfo.coordinates && (
               <Polyline 
                 positions={routeInfo.coordinates}
-                color="#4285f4"
-                weight={5}
-                opacity={0.7}
+                pathOptions={getTravelMode(routeInfo.mode).style}
+              />
+            )}
+            
+            {/* Highlighted step */}
+            {routeInfo?.steps && activeStep !== null && (
+              <Polyline 
+                positions={routeInfo.steps[activeStep].coordinates}
+                pathOptions={ACTIVE_STEP_STYLE}
               />
             )}
           </MapContainer>
 
+          {/* Drop target hint while a file is dragged over the map */}
+          {importedLayers.isDraggingFile && (
+            <div className="layer-drop-hint">🗂 Drop to add as a layer</div>
+          )}
+
+          {/* Search this area - re-runs the search in the current view */}
+          {canSearchThisArea && (
+            <button className="search-area-btn" onClick={handleSearchThisArea}>
+              🔍 Search this area
+            </button>
+          )}
+
+          {/* Drawing tools - beside the zoom controls */}
+          {!isNavigating && (
+            <DrawToolbar
+              mode={drawMode}
+              pointCount={sketchTool.drawPoints.length}
+              onModeChange={handleDrawModeChange}
+              onUndo={sketchTool.undoDrawPoint}
+              onFinish={handleDrawFinish}
+            />
+          )}
+
           {/* Zoom Controls - Outside of Leaflet */}
           <div className="zoom-controls">
             <button 
@@ -964,6 +2357,74 @@ function App() {
             </svg>
           </button>
 
+          {/* Map Tools */}
+          <div className="map-tools">
+            <button 
+              className={`map-tool-btn ${isochrone ? 'active' : ''}`}
+              onClick={isochroneTool.toggle}
+              disabled={isAnimating || isochroneTool.isLoading}
+              aria-label="Reachable area"
+              title="Reachable within N minutes"
+            >
+              {isochroneTool.isLoading ? <span className="spinner"></span> : '⏱'}
+            </button>
+            <button 
+              className={`map-tool-btn ${isMeasuring ? 'active' : ''}`}
+              onClick={handleMeasureToggle}
+              disabled={isNavigating}
+              aria-label="Measure distance and area"
+              aria-pressed={isMeasuring}
+              title="Measure"
+            >
+              📏
+            </button>
+            {tileSources.length > 1 && (
+              <button 
+                className={`map-tool-btn ${showBaseMaps ? 'active' : ''}`}
+                onClick={() => setShowBaseMaps(!showBaseMaps)}
+                aria-label="Base map"
+                aria-expanded={showBaseMaps}
+                title="Base map"
+              >
+                🗺
+              </button>
+            )}
+          </div>
+
+          {/* Base map picker */}
+          {showBaseMaps && (
+            <BaseMapPicker sources={tileSources} current={baseMap} onChange={handleBaseMapChange} />
+          )}
+
+          {/* Measure totals and options - in the isochrone panel's spot while open */}
+          {measureTool.measure && (
+            <MeasurePanel
+              mode={measureTool.measure.mode}
+              points={measureTool.measure.points}
+              units={measureTool.units}
+              onModeChange={measureTool.setMode}
+              onUnitsChange={measureTool.changeUnits}
+              onUndo={measureTool.undo}
+              onClear={measureTool.clear}
+              onClose={measureTool.close}
+            />
+          )}
+
+          {/* Isochrone legend and options */}
+          {isochrone && !isMeasuring && (
+            <IsochronePanel
+              isochrone={isochrone}
+              origin={biasType === 'dropped' ? 'pin' : 'you'}
+              preset={isochroneTool.preset}
+              limit={isochroneLimit}
+              onRefresh={() => isochroneTool.show()}
+              onClose={isochroneTool.toggle}
+              onModeChange={(mode) => isochroneTool.show(mode)}
+              onPresetChange={isochroneTool.changePreset}
+              onLimitChange={handleIsochroneLimit}
+            />
+          )}
+
           {/* Category Filters */}
           <div className={`category-filters-wrapper ${showSidebar ? 'sidebar-open' : ''}`}>
             <button 
@@ -978,7 +2439,7 @@ function App() {
               </svg>
             </button>
             <div className="category-filters">
-              {categories.map(cat => (
+              {categories.filter(cat => !cat.hidden).map(cat => (
                 <button
                   key={cat.id}
                   className={`category-chip ${activeFilter === cat.id ? 'active' : ''}`}
@@ -989,6 +2450,14 @@ function App() {
                   <span className="chip-label">{cat.label}</span>
                 </button>
               ))}
+              <button
+                className="category-chip category-chip-edit"
+                onClick={handleOpenCategories}
+                aria-label="Edit categories"
+              >
+                <span className="chip-icon">✏️</span>
+                <span className="chip-label">Edit</span>
+              </button>
             </div>
             <button 
               className="scroll-arrow scroll-right"
@@ -1005,8 +2474,41 @@ function App() {
         </div>
       </main>
       
+      {/* Navigation Panel - replaces the route panel while navigating */}
+      {routeInfo && isNavigating && (
+        <div className="route-panel nav-panel">
+          <div className="route-info">
+            <div className="route-icon nav-icon">
+              {navState?.nextStep ? navState.nextStep.icon : '🧭'}
+            </div>
+            <div className="route-details">
+              <strong>
+                {navState?.nextStep
+                  ? navState.nextStep.instruction
+                  : 'Waiting for GPS…'}
+              </strong>
+              {navState?.nextStep && (
+                <span>in {formatDistance(navState.nextStep.distanceTo)}</span>
+              )}
+            </div>
+          </div>
+          <button className="nav-exit" onClick={stopNavigation}>
+            Exit
+          </button>
+          {navState && (
+            <div className="nav-remaining">
+              {formatDistance(navState.remainingKm)}
+              {navState.remainingMin !== null && ` • ${formatDuration(navState.remainingMin)}`}
+              {navState.arrivalTime && (
+                ` • ETA ${new Date(navState.arrivalTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      
       {/* Route Info Panel */}
-      {routeInfo && (
+      {routeInfo && !isNavigating && (
         <div className="route-panel">
           <div className="route-info">
             <div className="route-icon">
@@ -1017,16 +2519,81 @@ function App() {
             <div className="route-details">
               <strong>
                 {formatDistance(routeInfo.distance)}
-                {routeInfo.duration && ` • ${routeInfo.duration} min`}
+                {routeInfo.duration !== undefined && ` • ${formatDuration(routeInfo.duration)}`}
               </strong>
               <span>to {routeInfo.destination}</span>
+              {routeInfo.offline && <small className="route-source">📴 Offline roads • rough time</small>}
             </div>
           </div>
-          <button className="route-close" onClick={clearRoute}>
-            <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
-              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
-            </svg>
-          </button>
+          <div className="route-buttons">
+            <button className="route-close route-start" onClick={startNavigation} aria-label="Start navigation">
+              <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+                <path d="M12 2L4.5 20.29l.71.71L12 18l6.79 3 .71-.71L12 2z"/>
+              </svg>
+            </button>
+            {routeInfo.steps && (
+              <button className="route-close" onClick={handleShowSteps} aria-label="Show steps">
+                <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+                  <path d="M3 13h2v-2H3v2zm0 4h2v-2H3v2zm0-8h2V7H3v2zm4 4h14v-2H7v2zm0 4h14v-2H7v2zM7 7v2h14V7H7z"/>
+                </svg>
+              </button>
+            )}
+            <button className="route-close" onClick={clearRoute} aria-label="Clear route">
+              <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+                <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+              </svg>
+            </button>
+          </div>
+          
+          {/* Travel mode selector - re-routes with the chosen profile */}
+          <div className="route-modes" role="radiogroup" aria-label="Travel mode">
+            {TRAVEL_MODES.map(mode => (
+              <button
+                key={mode.id}
+                className={`route-mode ${routeInfo.mode === mode.id ? 'active' : ''}`}
+                onClick={() => handleTravelModeChange(mode.id)}
+                role="radio"
+                aria-checked={routeInfo.mode === mode.id}
+              >
+                <span>{mode.icon}</span>
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          
+          {/* Alternative route list */}
+          {routeInfo.routes && routeInfo.routes.length > 1 && (
+            <ul className="route-alternatives">
+              {routeInfo.routes.map((route, index) => (
+                <li key={index}>
+                  <button
+                    className={`route-alternative ${routeInfo.activeRoute === index ? 'active' : ''}`}
+                    onClick={() => selectRoute(index)}
+                  >
+                    <strong>{formatDuration(route.duration)}</strong>
+                    <span>{formatDistance(route.distance)}</span>
+                    {route.duration === Math.min(...routeInfo.routes.map(r => r.duration)) && (
+                      <span className="route-badge">Fastest</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {/* Per-leg breakdown for multi-stop routes */}
+          {routeInfo.legs && routeInfo.legs.length > 1 && (
+            <ol className="route-legs">
+              {routeInfo.legs.map((leg, index) => (
+                <li key={index}>
+                  <span>{leg.to}</span>
+                  <small>{formatDistance(leg.distance)} • {formatDuration(leg.duration)}</small>
+                </li>
+              ))}
+            </ol>
+          )}
+          
+          <ExportMenu onExport={handleExportRoute} label="Export route" className="route-export" />
         </div>
       )}
       
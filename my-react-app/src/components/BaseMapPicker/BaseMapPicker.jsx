@@ -0,0 +1,32 @@
+/**
+ * BaseMapPicker Component
+ *
+ * PURPOSE: Switch between the base maps listed in the tile source registry
+ *
+ * INTERACTION DESIGN:
+ * - Base map: INSTRUCTING - Show it, remembered for next time
+ *
+ * Opened from the 🗺 map tool, next to the other tool buttons.
+ */
+
+import './BaseMapPicker.css'
+
+function BaseMapPicker({ sources, current, onChange }) {
+  return (
+    <div className="basemap-panel" role="radiogroup" aria-label="Base map">
+      {sources.map(source => (
+        <button
+          key={source.id}
+          className={source.id === current.id ? 'active' : ''}
+          onClick={() => onChange(source.id)}
+          role="radio"
+          aria-checked={source.id === current.id}
+        >
+          {source.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default BaseMapPicker
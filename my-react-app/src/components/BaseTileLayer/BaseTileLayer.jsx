@@ -0,0 +1,60 @@
+/**
+ * BaseTileLayer Component
+ *
+ * PURPOSE: The base map tiles inside the map, from the chosen tile source
+ *
+ * INTERACTION DESIGN:
+ * - Tiles: MANIPULATING - Pan and zoom as with any map
+ *
+ * The layer is recreated on switch, since Leaflet only updates the URL in
+ * place. Where offline areas were saved from this source, saved tiles are
+ * drawn first and only missing ones are asked from the network.
+ */
+
+import { useEffect } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { getCachedTile } from '../../services/offlineTiles'
+
+// Tile layer that draws saved offline tiles first and only then asks the network
+const OfflineTileLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const tile = document.createElement('img')
+    L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile))
+    L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile))
+    tile.alt = ''
+    tile.setAttribute('role', 'presentation')
+    
+    getCachedTile(this.options.sourceId, coords).then(blob => {
+      if (!blob) {
+        tile.src = this.getTileUrl(coords)
+        return
+      }
+      const url = URL.createObjectURL(blob)
+      const revoke = () => URL.revokeObjectURL(url)
+      tile.addEventListener('load', revoke, { once: true })
+      tile.addEventListener('error', revoke, { once: true })
+      tile.src = url
+    })
+    return tile
+  }
+})
+
+function BaseTileLayer({ source, useSavedTiles }) {
+  const map = useMap()
+  useEffect(() => {
+    const options = {
+      attribution: source.attribution,
+      maxZoom: source.maxZoom,
+      subdomains: source.subdomains,
+      apiKey: source.apiKey,
+      sourceId: source.id
+    }
+    const layer = useSavedTiles ? new OfflineTileLayer(source.url, options) : L.tileLayer(source.url, options)
+    layer.addTo(map)
+    return () => layer.remove()
+  }, [map, source, useSavedTiles])
+  return null
+}
+
+export default BaseTileLayer
@@ -0,0 +1,247 @@
+/**
+ * CategoryEditor Component
+ *
+ * PURPOSE: Let users shape the category chips under the map
+ *
+ * INTERACTION DESIGN:
+ * - Chip list: INSTRUCTING - Drag (or ▲/▼) to reorder, 👁 to hide, ✕ to delete
+ * - Edit / Add: INSTRUCTING - Label, emoji, marker color and what to look for
+ * - Query: INSTRUCTING - OSM tags (one set per line, "key=value & key=value") or free text
+ * - Import / Export: INSTRUCTING - Share one chip set across a team as JSON
+ * - Reset: INSTRUCTING - Back to the six built-in chips
+ *
+ * List changes apply (and persist) right away; the edit form keeps a draft
+ * until saved, like the settings page.
+ */
+
+import { useState, useRef } from 'react'
+import { MARKER_COLORS, createCategoryId, formatTagSets, parseTagSets } from '../../services/categories'
+import './CategoryEditor.css'
+
+const NEW_CATEGORY = { label: '', icon: '📍', color: 'green', tags: [], text: '', hidden: false }
+
+// Edit form for one chip - draft until saved
+function CategoryForm({ category, onSave, onCancel }) {
+  const [draft, setDraft] = useState({
+    ...category,
+    kind: category.text ? 'text' : 'tags',
+    tagsText: formatTagSets(category.tags),
+    text: category.text || ''
+  })
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }))
+
+  const tags = parseTagSets(draft.tagsText)
+  const isValid = draft.label.trim() && (draft.kind === 'tags' ? tags.length > 0 : draft.text.trim())
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!isValid) return
+    onSave({
+      id: draft.id || createCategoryId(),
+      label: draft.label.trim(),
+      icon: draft.icon.trim() || '📍',
+      color: draft.color,
+      ...(draft.kind === 'tags' ? { tags } : { text: draft.text.trim() }),
+      hidden: draft.hidden
+    })
+  }
+
+  return (
+    <form className="category-form" onSubmit={handleSubmit}>
+      <div className="category-form-row">
+        <label className="category-field category-field-icon">
+          <span>Icon</span>
+          <input
+            type="text"
+            value={draft.icon}
+            onChange={(e) => update({ icon: e.target.value })}
+            maxLength={8}
+            aria-label="Emoji icon"
+          />
+        </label>
+        <label className="category-field">
+          <span>Label</span>
+          <input
+            type="text"
+            value={draft.label}
+            placeholder="Barangay hall"
+            onChange={(e) => update({ label: e.target.value })}
+            autoFocus
+          />
+        </label>
+      </div>
+
+      <div className="category-field">
+        <span>Marker color</span>
+        <div className="category-colors" role="radiogroup" aria-label="Marker color">
+          {Object.entries(MARKER_COLORS).map(([name, swatch]) => (
+            <button
+              key={name}
+              type="button"
+              className={`category-color ${draft.color === name ? 'active' : ''}`}
+              style={{ background: swatch }}
+              onClick={() => update({ color: name })}
+              role="radio"
+              aria-checked={draft.color === name}
+              aria-label={name}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="category-field">
+        <span>Find places by</span>
+        <div className="category-kinds" role="radiogroup" aria-label="Query type">
+          <button
+            type="button"
+            className={draft.kind === 'tags' ? 'active' : ''}
+            onClick={() => update({ kind: 'tags' })}
+            role="radio"
+            aria-checked={draft.kind === 'tags'}
+          >
+            OSM tags
+          </button>
+          <button
+            type="button"
+            className={draft.kind === 'text' ? 'active' : ''}
+            onClick={() => update({ kind: 'text' })}
+            role="radio"
+            aria-checked={draft.kind === 'text'}
+          >
+            Free text
+          </button>
+        </div>
+      </div>
+
+      {draft.kind === 'tags' ? (
+        <label className="category-field">
+          <textarea
+            value={draft.tagsText}
+            placeholder={'amenity=townhall & townhall:type=barangay\namenity=social_facility & social_facility=shelter'}
+            onChange={(e) => update({ tagsText: e.target.value })}
+            rows={3}
+            spellCheck={false}
+            aria-label="OSM tags"
+          />
+          <small>One tag set per line - a place matches any line. Join tags with &amp;; a bare key matches any value.</small>
+        </label>
+      ) : (
+        <label className="category-field">
+          <input
+            type="text"
+            value={draft.text}
+            placeholder="evacuation center"
+            onChange={(e) => update({ text: e.target.value })}
+            aria-label="Search text"
+          />
+          <small>Sent to the search provider as typed</small>
+        </label>
+      )}
+
+      <div className="category-form-actions">
+        <button type="button" className="category-cancel" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="category-save" disabled={!isValid}>Save</button>
+      </div>
+    </form>
+  )
+}
+
+function CategoryEditor({ categories, onChange, onReset, onImport, onExport }) {
+  const [editingId, setEditingId] = useState(null) // Chip id, 'new' or null
+  const dragIndex = useRef(null)
+
+  const move = (from, to) => {
+    if (to < 0 || to >= categories.length || from === to) return
+    const next = [...categories]
+    const [moved] = next.splice(from, 1)
+    next.splice(to, 0, moved)
+    onChange(next)
+  }
+
+  const update = (id, changes) => {
+    onChange(categories.map(category => (category.id === id ? { ...category, ...changes } : category)))
+  }
+
+  const handleSave = (saved) => {
+    const exists = categories.some(category => category.id === saved.id)
+    onChange(exists
+      ? categories.map(category => (category.id === saved.id ? saved : category))
+      : [...categories, saved])
+    setEditingId(null)
+  }
+
+  const editing = editingId === 'new'
+    ? NEW_CATEGORY
+    : categories.find(category => category.id === editingId)
+
+  return (
+    <div className="category-editor">
+      <ol className="category-list">
+        {categories.map((category, index) => (
+          <li
+            key={category.id}
+            className={`category-item ${category.hidden ? 'hidden' : ''}`}
+            draggable
+            onDragStart={() => { dragIndex.current = index }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => {
+              move(dragIndex.current, index)
+              dragIndex.current = null
+            }}
+          >
+            <span className="category-handle" aria-hidden="true">⠿</span>
+            <span className="category-swatch" style={{ background: MARKER_COLORS[category.color] }} />
+            <span className="category-icon">{category.icon}</span>
+            <button className="category-name" onClick={() => setEditingId(category.id)}>
+              <strong>{category.label}</strong>
+              <small>{category.text ? `"${category.text}"` : formatTagSets(category.tags).replace(/\n/g, ' or ')}</small>
+            </button>
+            <button onClick={() => move(index, index - 1)} disabled={index === 0} aria-label="Move up">▲</button>
+            <button onClick={() => move(index, index + 1)} disabled={index === categories.length - 1} aria-label="Move down">▼</button>
+            <button
+              onClick={() => update(category.id, { hidden: !category.hidden })}
+              aria-label={category.hidden ? 'Show chip' : 'Hide chip'}
+              aria-pressed={category.hidden}
+            >
+              {category.hidden ? '🚫' : '👁'}
+            </button>
+            <button onClick={() => onChange(categories.filter(c => c.id !== category.id))} aria-label="Delete chip">✕</button>
+          </li>
+        ))}
+      </ol>
+
+      {editing ? (
+        <CategoryForm
+          key={editingId}
+          category={editing}
+          onSave={handleSave}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <button className="category-add" onClick={() => setEditingId('new')}>
+          ➕ Add category
+        </button>
+      )}
+
+      <div className="category-actions">
+        <label className="category-import">
+          Import
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              const file = e.target.files[0]
+              e.target.value = '' // Allow picking the same file again
+              if (file) onImport(file)
+            }}
+          />
+        </label>
+        <button onClick={onExport}>Export</button>
+        <button onClick={onReset}>Reset</button>
+      </div>
+    </div>
+  )
+}
+
+export default CategoryEditor
@@ -0,0 +1,261 @@
+/**
+ * DirectionsForm Component
+ *
+ * PURPOSE: Pick any origin and destination for a route
+ *
+ * INTERACTION DESIGN:
+ * - Origin/destination fields: INSTRUCTING - Type to get place suggestions
+ *   (Enter to search with geocoders that forbid autocomplete)
+ * - Special choices: INSTRUCTING - My location, dropped pin, or tap the map
+ * - Swap button: INSTRUCTING - Reverse origin and destination (and the route)
+ * - Travel modes: INSTRUCTING - Choose the routing profile
+ *
+ * Each endpoint is a { name, position: [lat, lon] } object, or null.
+ * While the user is still typing, position is null until a choice is made.
+ */
+
+import { useState, useEffect } from 'react'
+import { searchPlaces, canAutocomplete } from '../../services/geocoding'
+import { getBoundsAround } from '../../utils/geo'
+import { getAddressLine } from '../../utils/address'
+import './DirectionsForm.css'
+
+const SUGGEST_DELAY = 400 // ms to wait after typing before geocoding
+
+// One origin/destination field with its suggestion dropdown
+function DirectionsField({ kind, placeholder, value, biasLocation, biasType, geocodingSettings, isPicking, onChange, onPickOnMap }) {
+  const [suggestions, setSuggestions] = useState([])
+  const [isOpen, setIsOpen] = useState(false)
+  const [isLocating, setIsLocating] = useState(false)
+  // Last query searched on Enter, for geocoders that can't be asked per keystroke
+  const [searchedQuery, setSearchedQuery] = useState(null)
+  
+  const text = value ? value.name : ''
+  const query = text.trim()
+  const autocomplete = canAutocomplete(geocodingSettings)
+  const isUnresolved = query.length >= 3 && !(value && value.position)
+  const wantsSuggestions = isOpen && isUnresolved && (autocomplete || searchedQuery === query)
+
+  // Debounced place suggestions, biased toward the bias point
+  useEffect(() => {
+    if (!wantsSuggestions) return
+
+    // Aborted when the user types on, so stale queries leave the queue
+    const controller = new AbortController()
+    const timeout = setTimeout(async () => {
+      try {
+        const places = await searchPlaces(query, {
+          limit: 5,
+          near: biasLocation,
+          bounds: biasLocation && getBoundsAround(biasLocation, 0.15),
+          signal: controller.signal
+        }, geocodingSettings)
+        if (controller.signal.aborted) return
+        setSuggestions(places.map(place => ({
+          name: place.name,
+          address: getAddressLine(place),
+          position: [place.lat, place.lon]
+        })))
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error('Suggestions failed:', error)
+      }
+    }, autocomplete ? SUGGEST_DELAY : 0)
+
+    return () => {
+      clearTimeout(timeout)
+      controller.abort()
+    }
+  }, [query, wantsSuggestions, autocomplete, biasLocation, geocodingSettings])
+
+  const search = () => {
+    setSearchedQuery(query)
+    setIsOpen(true)
+  }
+
+  const choose = (place) => {
+    onChange(place)
+    setIsOpen(false)
+    setSuggestions([])
+  }
+
+  // "My location" uses the blue bias point if we have one, else asks the browser
+  const chooseMyLocation = () => {
+    if (biasType === 'user' && biasLocation) {
+      choose({ name: 'My location', position: biasLocation })
+      return
+    }
+    setIsLocating(true)
+    navigator.geolocation.getCurrentPosition(
+      (pos) => {
+        setIsLocating(false)
+        choose({ name: 'My location', position: [pos.coords.latitude, pos.coords.longitude] })
+      },
+      (err) => {
+        console.error('Geolocation error:', err)
+        setIsLocating(false)
+        setIsOpen(false)
+      },
+      { enableHighAccuracy: true }
+    )
+  }
+
+  return (
+    <div className="directions-field">
+      <div className="directions-input-group">
+        <div className={`directions-marker ${kind}`}>
+          <div className="marker-dot"></div>
+        </div>
+        <input
+          type="text"
+          className={`directions-input ${isPicking ? 'picking' : ''}`}
+          placeholder={isPicking ? 'Tap the map…' : placeholder}
+          value={text}
+          onChange={(e) => {
+            setIsOpen(true)
+            onChange(e.target.value ? { name: e.target.value, position: null } : null)
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && isUnresolved) search()
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          aria-label={placeholder}
+        />
+      </div>
+
+      {isOpen && (
+        // Keep focus in the input while tapping a suggestion
+        <ul className="directions-suggestions" onMouseDown={(e) => e.preventDefault()}>
+          <li>
+            <button onClick={chooseMyLocation} disabled={isLocating}>
+              <span className="suggestion-icon">📍</span>
+              <span className="suggestion-text">
+                <strong>{isLocating ? 'Finding you…' : 'My location'}</strong>
+              </span>
+            </button>
+          </li>
+          {biasType === 'dropped' && biasLocation && (
+            <li>
+              <button onClick={() => choose({ name: 'Dropped pin', position: biasLocation })}>
+                <span className="suggestion-icon">📌</span>
+                <span className="suggestion-text">
+                  <strong>Dropped pin</strong>
+                </span>
+              </button>
+            </li>
+          )}
+          <li>
+            <button onClick={() => { setIsOpen(false); onPickOnMap() }}>
+              <span className="suggestion-icon">🗺️</span>
+              <span className="suggestion-text">
+                <strong>Choose on map</strong>
+              </span>
+            </button>
+          </li>
+          {!autocomplete && isUnresolved && searchedQuery !== query && (
+            <li>
+              <button onClick={search}>
+                <span className="suggestion-icon">🔍</span>
+                <span className="suggestion-text">
+                  <strong>Search for “{query}”</strong>
+                  <small>Or press Enter</small>
+                </span>
+              </button>
+            </li>
+          )}
+          {wantsSuggestions && suggestions.map((place, index) => (
+            <li key={index}>
+              <button onClick={() => choose(place)}>
+                <span className="suggestion-icon">🔍</span>
+                <span className="suggestion-text">
+                  <strong>{place.name}</strong>
+                  <small>{place.address}</small>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function DirectionsForm({
+  from,
+  to,
+  onFromChange,
+  onToChange,
+  onSwap,
+  onPickOnMap,
+  pickingField,
+  onSubmit,
+  biasLocation,
+  biasType,
+  geocodingSettings,
+  travelModes,
+  travelMode,
+  onTravelModeChange,
+  disabled
+}) {
+  return (
+    <div className="directions-view">
+      <div className="directions-form">
+        <DirectionsField
+          kind="origin"
+          placeholder="Choose starting point..."
+          value={from}
+          biasLocation={biasLocation}
+          biasType={biasType}
+          geocodingSettings={geocodingSettings}
+          isPicking={pickingField === 'from'}
+          onChange={onFromChange}
+          onPickOnMap={() => onPickOnMap('from')}
+        />
+
+        <button className="swap-btn" onClick={onSwap} aria-label="Swap origin and destination">
+          <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+            <path d="M16 17.01V10h-2v7.01h-3L15 21l4-3.99h-3zM9 3L5 6.99h3V14h2V6.99h3L9 3z"/>
+          </svg>
+        </button>
+
+        <DirectionsField
+          kind="destination"
+          placeholder="Choose destination..."
+          value={to}
+          biasLocation={biasLocation}
+          biasType={biasType}
+          geocodingSettings={geocodingSettings}
+          isPicking={pickingField === 'to'}
+          onChange={onToChange}
+          onPickOnMap={() => onPickOnMap('to')}
+        />
+      </div>
+
+      {/* Travel Mode Selector */}
+      <div className="route-modes" role="radiogroup" aria-label="Travel mode">
+        {travelModes.map(mode => (
+          <button
+            key={mode.id}
+            className={`route-mode ${travelMode === mode.id ? 'active' : ''}`}
+            onClick={() => onTravelModeChange(mode.id)}
+            role="radio"
+            aria-checked={travelMode === mode.id}
+          >
+            <span>{mode.icon}</span>
+            {mode.label}
+          </button>
+        ))}
+      </div>
+
+      <button
+        className="directions-submit"
+        onClick={onSubmit}
+        disabled={!from?.position || !to?.position || disabled}
+      >
+        Get directions
+      </button>
+    </div>
+  )
+}
+
+export default DirectionsForm
@@ -0,0 +1,62 @@
+/**
+ * DrawToolbar Component
+ *
+ * PURPOSE: Sketch points, lines and areas straight on the map
+ *
+ * INTERACTION DESIGN:
+ * - ✏️: INSTRUCTING - Open the drawing tools beside the zoom buttons
+ * - Point / Line / Area: INSTRUCTING - Pick what to draw, then tap the map
+ * - ↶: INSTRUCTING - Take back the last point
+ * - ✓: INSTRUCTING - Finish the line or area (it needs 2 or 3 points)
+ * - ✕: INSTRUCTING - Stop drawing and close the tools
+ *
+ * Taps place points while a tool is active, so the map doesn't drop a
+ * pin; a finished sketch opens in the editor for its name and color.
+ */
+
+import { useState } from 'react'
+import { SKETCH_TYPES } from '../../services/sketches'
+import './DrawToolbar.css'
+
+function DrawToolbar({ mode, pointCount, onModeChange, onUndo, onFinish }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const canFinish = mode && mode !== 'point' && pointCount >= SKETCH_TYPES[mode].minPoints
+
+  const handleClose = () => {
+    setIsOpen(false)
+    onModeChange(null)
+  }
+
+  if (!isOpen) {
+    return (
+      <div className="draw-toolbar">
+        <button onClick={() => setIsOpen(true)} aria-label="Draw on the map" title="Draw">✏️</button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="draw-toolbar open" role="toolbar" aria-label="Drawing tools">
+      <button onClick={handleClose} aria-label="Close drawing tools" title="Close">✕</button>
+      {mode && mode !== 'point' && (
+        <>
+          <button onClick={onFinish} disabled={!canFinish} aria-label="Finish sketch" title="Finish">✓</button>
+          <button onClick={onUndo} disabled={pointCount === 0} aria-label="Undo last point" title="Undo">↶</button>
+        </>
+      )}
+      {Object.entries(SKETCH_TYPES).map(([type, { label, icon }]) => (
+        <button
+          key={type}
+          className={mode === type ? 'active' : ''}
+          onClick={() => onModeChange(mode === type ? null : type)}
+          aria-pressed={mode === type}
+          title={label}
+        >
+          {icon}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default DrawToolbar
@@ -0,0 +1,52 @@
+/**
+ * ExportMenu Component
+ *
+ * PURPOSE: Small "Export" button that offers GPX, GeoJSON and KML downloads
+ *
+ * INTERACTION DESIGN:
+ * - Export button: INSTRUCTING - Opens the format list
+ * - Format buttons: INSTRUCTING - Download the data in that format
+ */
+
+import { useState } from 'react'
+import { EXPORT_FORMATS } from '../../utils/export'
+import './ExportMenu.css'
+
+function ExportMenu({ onExport, label = 'Export', className = '' }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  return (
+    <div className={`export-menu ${className}`}>
+      <button
+        className="export-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        aria-label={label}
+      >
+        <svg viewBox="0 0 24 24" width="18" height="18" fill="currentColor">
+          <path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>
+        </svg>
+        <span>{label}</span>
+      </button>
+
+      {isOpen && (
+        <div className="export-options" role="menu">
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              role="menuitem"
+              onClick={() => {
+                setIsOpen(false)
+                onExport(format.id)
+              }}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,61 @@
+/**
+ * ImportedLayer Component
+ *
+ * PURPOSE: One imported overlay layer drawn on the map, in its own color
+ *
+ * INTERACTION DESIGN:
+ * - Shape or point: INSTRUCTING - Tap to see the feature's attributes
+ *
+ * Taps on its shapes open the attributes instead of dropping a pin.
+ */
+
+import { useMemo } from 'react'
+import { GeoJSON } from 'react-leaflet'
+import L from 'leaflet'
+import './ImportedLayer.css'
+
+// Attribute table for a feature (built as DOM, so values can't inject HTML)
+function getFeaturePopup(feature, layerName) {
+  const properties = Object.entries(feature.properties || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+  const container = document.createElement('div')
+  container.className = 'feature-popup'
+  
+  const title = document.createElement('strong')
+  title.textContent = feature.properties?.name || layerName
+  container.appendChild(title)
+  
+  if (properties.length > 0) {
+    const table = document.createElement('table')
+    properties.forEach(([key, value]) => {
+      const row = table.insertRow()
+      row.insertCell().textContent = key
+      row.insertCell().textContent = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    })
+    container.appendChild(table)
+  }
+  return container
+}
+
+function ImportedLayer({ layer }) {
+  // A new style object would restyle every feature on each app render
+  const style = useMemo(() => ({ color: layer.color, weight: 2, fillOpacity: 0.15 }), [layer.color])
+  return (
+    <GeoJSON
+      data={layer.data}
+      style={style}
+      bubblingMouseEvents={false}
+      pointToLayer={(feature, latlng) => L.circleMarker(latlng, {
+        radius: 6,
+        color: 'white',
+        weight: 2,
+        fillColor: layer.color,
+        fillOpacity: 1,
+        bubblingMouseEvents: false
+      })}
+      onEachFeature={(feature, leafletLayer) => leafletLayer.bindPopup(() => getFeaturePopup(feature, layer.name))}
+    />
+  )
+}
+
+export default ImportedLayer
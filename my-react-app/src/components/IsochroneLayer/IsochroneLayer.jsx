@@ -0,0 +1,30 @@
+/**
+ * IsochroneLayer Component
+ *
+ * PURPOSE: The areas reachable within each time band, drawn on the map
+ *
+ * INTERACTION DESIGN:
+ * - Bands: not interactive - taps go through to the map
+ *
+ * The largest band is drawn first so smaller ones sit on top.
+ */
+
+import { Polygon } from 'react-leaflet'
+import { ISOCHRONE_COLORS } from '../../services/isochrone'
+
+function IsochroneLayer({ bands }) {
+  return [...bands].reverse().map(band => (
+    <Polygon 
+      key={`iso-${band.minutes}`}
+      positions={band.polygons}
+      pathOptions={{
+        color: ISOCHRONE_COLORS[bands.indexOf(band)],
+        weight: 1,
+        fillOpacity: 0.15,
+        interactive: false
+      }}
+    />
+  ))
+}
+
+export default IsochroneLayer
@@ -0,0 +1,76 @@
+/**
+ * IsochronePanel Component
+ *
+ * PURPOSE: Legend and options of the reachable-area overlay
+ *
+ * INTERACTION DESIGN:
+ * - ↻: INSTRUCTING - Recompute from the current pin or location
+ * - ✕: INSTRUCTING - Hide the reachable area
+ * - Travel mode: INSTRUCTING - Recompute for walking, cycling or driving
+ * - Time preset: INSTRUCTING - Recompute with other time bands
+ * - Filters within: INSTRUCTING - Keep category results inside one band
+ *
+ * Its travel mode is its own, so switching it leaves the route alone.
+ */
+
+import { TRAVEL_MODES } from '../../services/routing'
+import { ISOCHRONE_PRESETS, ISOCHRONE_COLORS } from '../../services/isochrone'
+import './IsochronePanel.css'
+
+function IsochronePanel({ isochrone, origin, preset, limit, onRefresh, onClose, onModeChange, onPresetChange, onLimitChange }) {
+  return (
+    <div className="isochrone-panel">
+      <div className="isochrone-header">
+        <strong>Reachable from {origin}</strong>
+        <button onClick={onRefresh} aria-label="Refresh from current point" title="Refresh">↻</button>
+        <button onClick={onClose} aria-label="Hide reachable area">✕</button>
+      </div>
+      <div className="route-modes" role="radiogroup" aria-label="Travel mode">
+        {TRAVEL_MODES.map(mode => (
+          <button
+            key={mode.id}
+            className={`route-mode ${isochrone.mode === mode.id ? 'active' : ''}`}
+            onClick={() => onModeChange(mode.id)}
+            role="radio"
+            aria-checked={isochrone.mode === mode.id}
+          >
+            <span>{mode.icon}</span>
+            {mode.label}
+          </button>
+        ))}
+      </div>
+      <div className="isochrone-presets">
+        {ISOCHRONE_PRESETS.map((minutes, index) => (
+          <button
+            key={index}
+            className={preset === index ? 'active' : ''}
+            onClick={() => onPresetChange(index)}
+          >
+            {minutes.join(' / ')} min
+          </button>
+        ))}
+      </div>
+      <div className="isochrone-limit">
+        <span>Filters within:</span>
+        <button
+          className={limit === null ? 'active' : ''}
+          onClick={() => onLimitChange(null)}
+        >
+          Any
+        </button>
+        {isochrone.bands.map((band, index) => (
+          <button
+            key={band.minutes}
+            className={limit === band.minutes ? 'active' : ''}
+            onClick={() => onLimitChange(band.minutes)}
+          >
+            <span className="isochrone-swatch" style={{ background: ISOCHRONE_COLORS[index] }} />
+            {band.minutes} min
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default IsochronePanel
@@ -0,0 +1,108 @@
+/**
+ * LayerList Component
+ *
+ * PURPOSE: Bring the user's own GIS files onto the map and manage them
+ *
+ * INTERACTION DESIGN:
+ * - Add: INSTRUCTING - Pick files here, or drop them anywhere on the map
+ * - Layer row: INSTRUCTING - Tap the name to zoom to it, 👁 to hide, ✕ to remove
+ * - Features: INSTRUCTING - Tap a shape on the map to see its attributes
+ * - Sketches: INSTRUCTING - What you drew with ✏️; tap one to edit it, Export for GeoJSON
+ *
+ * Layers are kept in the browser, so they come back after a reload.
+ */
+
+import { LAYER_FILE_TYPES } from '../../utils/layerFormats'
+import { SKETCH_TYPES } from '../../services/sketches'
+import './LayerList.css'
+
+function LayerList({
+  layers,
+  isImporting,
+  onImport,
+  onToggle,
+  onShow,
+  onRemove,
+  sketches,
+  sketchesVisible,
+  onSketchSelect,
+  onSketchesToggle,
+  onSketchesExport
+}) {
+  return (
+    <div className="layer-list">
+      <label className={`layer-add ${isImporting ? 'busy' : ''}`}>
+        {isImporting ? '⏳ Reading files…' : '➕ Add layer'}
+        <input
+          type="file"
+          accept={LAYER_FILE_TYPES}
+          multiple
+          disabled={isImporting}
+          onChange={(e) => {
+            const files = [...e.target.files]
+            e.target.value = '' // Allow picking the same file again
+            if (files.length > 0) onImport(files)
+          }}
+        />
+      </label>
+      <p className="layer-note">
+        GeoJSON, KML/KMZ, GPX, zipped Shapefile or CSV with lat/lon columns - or drop files on the map.
+      </p>
+
+      {layers.length === 0 ? (
+        <p className="layer-note">No layers yet</p>
+      ) : (
+        <ul className="layer-items">
+          {layers.map(layer => (
+            <li key={layer.id} className={layer.visible ? '' : 'hidden'}>
+              <span className="layer-swatch" style={{ background: layer.color }} />
+              <button className="layer-name" onClick={() => onShow(layer)}>
+                <strong>{layer.name}</strong>
+                <small>
+                  {layer.featureCount.toLocaleString()} {layer.featureCount === 1 ? 'feature' : 'features'} • {layer.fileName}
+                </small>
+              </button>
+              <button
+                onClick={() => onToggle(layer)}
+                aria-label={layer.visible ? `Hide ${layer.name}` : `Show ${layer.name}`}
+                aria-pressed={!layer.visible}
+              >
+                {layer.visible ? '👁' : '🚫'}
+              </button>
+              <button onClick={() => onRemove(layer)} aria-label={`Remove ${layer.name}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="layer-section">
+        <h3>Sketches</h3>
+        <button
+          onClick={onSketchesToggle}
+          aria-label={sketchesVisible ? 'Hide sketches' : 'Show sketches'}
+          aria-pressed={!sketchesVisible}
+        >
+          {sketchesVisible ? '👁' : '🚫'}
+        </button>
+        <button onClick={onSketchesExport} disabled={sketches.length === 0}>Export</button>
+      </div>
+      {sketches.length === 0 ? (
+        <p className="layer-note">Draw points, lines and areas with ✏️ next to the zoom buttons</p>
+      ) : (
+        <ul className={`layer-items ${sketchesVisible ? '' : 'hidden'}`}>
+          {sketches.map(sketch => (
+            <li key={sketch.id}>
+              <span className="layer-swatch" style={{ background: sketch.color }} />
+              <button className="layer-name" onClick={() => onSketchSelect(sketch)}>
+                <strong>{SKETCH_TYPES[sketch.type].icon} {sketch.name}</strong>
+                {sketch.description && <small>{sketch.description}</small>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LayerList
@@ -0,0 +1,62 @@
+/**
+ * MeasureOverlay Component
+ *
+ * PURPOSE: The measured path or shape on the map, with each leg's length
+ * at its middle
+ *
+ * INTERACTION DESIGN:
+ * - Point: MANIPULATING - Drag to adjust the measurement
+ *
+ * Totals and options are in the MeasurePanel; this only draws on the map.
+ */
+
+import { useMemo } from 'react'
+import { Marker, Polygon, Polyline } from 'react-leaflet'
+import L from 'leaflet'
+import { getLegDistancesKm } from '../../utils/geo'
+import { formatLength } from '../../utils/units'
+import './MeasureOverlay.css'
+
+const MEASURE_STYLE = { color: '#d93025', weight: 3, dashArray: '8 6', fillOpacity: 0.12, interactive: false }
+
+// Same look as the sketch editor's vertex handles
+const POINT_ICON = L.divIcon({ className: 'sketch-vertex', iconSize: [14, 14] })
+
+// One leg length - the icon is only rebuilt when its text changes, since a
+// new icon makes Leaflet replace the marker's element
+function MeasureLabel({ position, text }) {
+  const icon = useMemo(() => L.divIcon({ className: 'measure-label', html: `<span>${text}</span>`, iconSize: null }), [text])
+  return <Marker position={position} icon={icon} interactive={false} />
+}
+
+function MeasureOverlay({ mode, points, units, onMove }) {
+  const isArea = mode === 'area' && points.length >= 3
+  const ends = isArea ? [...points, points[0]] : points
+  const legs = getLegDistancesKm(points, isArea)
+  
+  return (
+    <>
+      {isArea
+        ? <Polygon positions={points} pathOptions={MEASURE_STYLE} />
+        : <Polyline positions={points} pathOptions={MEASURE_STYLE} />}
+      {legs.map((km, index) => (
+        <MeasureLabel
+          key={`leg-${index}`}
+          position={[(ends[index][0] + ends[index + 1][0]) / 2, (ends[index][1] + ends[index + 1][1]) / 2]}
+          text={formatLength(km, units)}
+        />
+      ))}
+      {points.map((point, index) => (
+        <Marker
+          key={`point-${index}-${point.join()}`}
+          position={point}
+          icon={POINT_ICON}
+          draggable
+          eventHandlers={{ dragend: (e) => onMove(index, e.target.getLatLng()) }}
+        />
+      ))}
+    </>
+  )
+}
+
+export default MeasureOverlay
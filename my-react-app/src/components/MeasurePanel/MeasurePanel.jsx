@@ -0,0 +1,102 @@
+/**
+ * MeasurePanel Component
+ *
+ * PURPOSE: Measure road lengths and lot sizes without leaving the map
+ *
+ * INTERACTION DESIGN:
+ * - Distance / Area: INSTRUCTING - Measure along a path, or around a closed shape
+ * - Map taps: INSTRUCTING - Each tap adds a point; drag a point to adjust it
+ * - Totals: INSTRUCTING - Length (perimeter for areas) and area update with every point
+ * - Segments: INSTRUCTING - The length of each leg, in order
+ * - Units: INSTRUCTING - Metric (m, km, m², ha) or imperial (ft, mi, ft², acres)
+ *
+ * Lengths use the same haversine math as the rest of the app, areas the
+ * matching spherical formula.
+ */
+
+import { getLegDistancesKm, getRingAreaKm2 } from '../../utils/geo'
+import { MEASURE_UNITS, formatLength, formatArea } from '../../utils/units'
+import './MeasurePanel.css'
+
+const MEASURE_MODES = [
+  { id: 'line', label: 'Distance' },
+  { id: 'area', label: 'Area' }
+]
+
+function MeasurePanel({ mode, points, units, onModeChange, onUnitsChange, onUndo, onClear, onClose }) {
+  const hasArea = mode === 'area' && points.length >= 3
+  const segments = getLegDistancesKm(points, hasArea)
+  const totalKm = segments.reduce((total, km) => total + km, 0)
+
+  return (
+    <div className="measure-panel">
+      <div className="measure-header">
+        <strong>📏 Measure</strong>
+        <button onClick={onUndo} disabled={points.length === 0} aria-label="Undo last point" title="Undo">↶</button>
+        <button onClick={onClear} disabled={points.length === 0} aria-label="Clear points" title="Clear">🗑</button>
+        <button onClick={onClose} aria-label="Close measure">✕</button>
+      </div>
+
+      <div className="measure-options">
+        <div className="measure-toggle" role="radiogroup" aria-label="Measure">
+          {MEASURE_MODES.map(option => (
+            <button
+              key={option.id}
+              className={mode === option.id ? 'active' : ''}
+              onClick={() => onModeChange(option.id)}
+              role="radio"
+              aria-checked={mode === option.id}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <div className="measure-toggle" role="radiogroup" aria-label="Units">
+          {Object.entries(MEASURE_UNITS).map(([id, { label }]) => (
+            <button
+              key={id}
+              className={units === id ? 'active' : ''}
+              onClick={() => onUnitsChange(id)}
+              role="radio"
+              aria-checked={units === id}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {points.length < 2 ? (
+        <p className="measure-hint">
+          Tap the map to {points.length === 0 ? 'start' : 'add the next point'}
+          {mode === 'area' && ' - the shape closes itself'}
+        </p>
+      ) : (
+        <>
+          <dl className="measure-totals">
+            <div>
+              <dt>{hasArea ? 'Perimeter' : 'Length'}</dt>
+              <dd>{formatLength(totalKm, units)}</dd>
+            </div>
+            {mode === 'area' && (
+              <div>
+                <dt>Area</dt>
+                <dd>{hasArea ? formatArea(getRingAreaKm2(points), units) : 'Add a third point'}</dd>
+              </div>
+            )}
+          </dl>
+          <ol className="measure-segments">
+            {segments.map((km, index) => (
+              <li key={index}>
+                <span>{index + 1} → {index + 2 > points.length ? 1 : index + 2}</span>
+                <span>{formatLength(km, units)}</span>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MeasurePanel
@@ -0,0 +1,176 @@
+/**
+ * OfflineMaps Component
+ *
+ * PURPOSE: Save base map tiles for an area so the map works without signal,
+ * and manage the areas already saved
+ *
+ * INTERACTION DESIGN:
+ * - Area: INSTRUCTING - Use the current map view, or tap two corners on the map
+ * - Zoom range: INSTRUCTING - Pick how far out and in to save, with a live tile and size estimate
+ * - Download: INSTRUCTING - Save the tiles (cancellable, with progress)
+ * - Region list: INSTRUCTING - Show, refresh or delete a saved area
+ *
+ * Tiles come from the base map shown at the time, and are drawn from
+ * storage whenever that base map is shown again. Base maps whose terms
+ * forbid bulk downloads (allowOffline false) can't be saved.
+ */
+
+import { useState } from 'react'
+import { MAX_REGION_TILES, OFFLINE_ZOOM, countTiles, estimateTileBytes } from '../../services/offlineTiles'
+import './OfflineMaps.css'
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+const ZOOM_LEVELS = Array.from({ length: OFFLINE_ZOOM.max - OFFLINE_ZOOM.min + 1 }, (_, i) => OFFLINE_ZOOM.min + i)
+
+function OfflineMaps({
+  regions,
+  baseMap,
+  draftBounds,
+  isDrawing,
+  progress,
+  initialZoom,
+  canRefresh,
+  onUseView,
+  onDraw,
+  onDownload,
+  onCancel,
+  onShow,
+  onRefresh,
+  onDelete
+}) {
+  const sourceMaxZoom = Math.min(baseMap.maxZoom, OFFLINE_ZOOM.max)
+  const [name, setName] = useState('')
+  const [minZoom, setMinZoom] = useState(Math.max(OFFLINE_ZOOM.min, Math.min(initialZoom, sourceMaxZoom)))
+  const [maxZoom, setMaxZoom] = useState(Math.min(17, sourceMaxZoom))
+
+  const tileCount = draftBounds ? countTiles(draftBounds, minZoom, maxZoom) : 0
+  const isTooBig = tileCount > MAX_REGION_TILES
+  const isDownloading = progress !== null
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!baseMap.allowOffline || !draftBounds || isTooBig || isDownloading) return
+    onDownload({ name: name.trim() || `Area ${regions.length + 1}`, minZoom, maxZoom })
+    setName('')
+  }
+
+  return (
+    <div className="offline-maps">
+      <form className="offline-new" onSubmit={handleSubmit}>
+        <h3>Save an area</h3>
+        {baseMap.allowOffline ? (
+          <p className="offline-note">Tiles come from the <strong>{baseMap.label}</strong> base map.</p>
+        ) : (
+          <p className="offline-estimate too-big">
+            The <strong>{baseMap.label}</strong> base map's terms don't allow saving it for offline use - switch to another base map with 🗺 first.
+          </p>
+        )}
+
+        <div className="offline-area">
+          <button type="button" onClick={onUseView} disabled={isDownloading}>Use map view</button>
+          <button type="button" className={isDrawing ? 'active' : ''} onClick={onDraw} disabled={isDownloading}>
+            {isDrawing ? 'Tap two corners…' : 'Draw on map'}
+          </button>
+        </div>
+
+        <div className="offline-zooms">
+          <label className="offline-field">
+            <span>From zoom</span>
+            <select
+              value={minZoom}
+              onChange={(e) => {
+                const zoom = Number(e.target.value)
+                setMinZoom(zoom)
+                if (zoom > maxZoom) setMaxZoom(zoom)
+              }}
+            >
+              {ZOOM_LEVELS.filter(zoom => zoom <= sourceMaxZoom).map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+            </select>
+          </label>
+          <label className="offline-field">
+            <span>To zoom</span>
+            <select
+              value={maxZoom}
+              onChange={(e) => {
+                const zoom = Number(e.target.value)
+                setMaxZoom(zoom)
+                if (zoom < minZoom) setMinZoom(zoom)
+              }}
+            >
+              {ZOOM_LEVELS.filter(zoom => zoom <= sourceMaxZoom).map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+            </select>
+          </label>
+        </div>
+
+        <label className="offline-field">
+          <span>Name</span>
+          <input
+            type="text"
+            value={name}
+            placeholder="Brgy. San Isidro uplands"
+            onChange={(e) => setName(e.target.value)}
+          />
+        </label>
+
+        {draftBounds ? (
+          <p className={`offline-estimate ${isTooBig ? 'too-big' : ''}`}>
+            {tileCount.toLocaleString()} tiles • about {formatBytes(estimateTileBytes(tileCount))}
+            {isTooBig && ` - over the ${MAX_REGION_TILES.toLocaleString()} tile limit; pick a smaller area or lower "To zoom"`}
+          </p>
+        ) : (
+          <p className="offline-note">Choose an area first</p>
+        )}
+
+        {isDownloading ? (
+          <div className="offline-progress">
+            <progress value={progress.done} max={progress.total} />
+            <span>
+              {progress.done} / {progress.total}
+              {progress.failed > 0 && ` (${progress.failed} failed)`}
+            </span>
+            <button type="button" onClick={onCancel}>Cancel</button>
+          </div>
+        ) : (
+          <button type="submit" className="offline-download" disabled={!baseMap.allowOffline || !draftBounds || isTooBig}>
+            Download
+          </button>
+        )}
+      </form>
+
+      <h3>Saved areas</h3>
+      {regions.length === 0 ? (
+        <p className="offline-note">Nothing saved yet</p>
+      ) : (
+        <ul className="offline-regions">
+          {regions.map(region => (
+            <li key={region.id}>
+              <button className="offline-region-name" onClick={() => onShow(region)}>
+                <strong>{region.name}</strong>
+                <small>
+                  {region.sourceLabel} • zoom {region.minZoom}-{region.maxZoom} • {formatBytes(region.bytes)}
+                  {region.failed > 0 && ` • ${region.failed} missing`}
+                </small>
+                <small>Updated {new Date(region.updatedAt).toLocaleDateString()}</small>
+              </button>
+              <button
+                onClick={() => onRefresh(region)}
+                disabled={isDownloading || !canRefresh(region)}
+                aria-label={`Refresh ${region.name}`}
+                title="Download again"
+              >
+                ↻
+              </button>
+              <button onClick={() => onDelete(region)} disabled={isDownloading} aria-label={`Delete ${region.name}`}>✕</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default OfflineMaps
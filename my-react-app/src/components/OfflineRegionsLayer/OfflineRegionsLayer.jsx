@@ -0,0 +1,31 @@
+/**
+ * OfflineRegionsLayer Component
+ *
+ * PURPOSE: Outlines of the saved offline areas and the area being chosen
+ *
+ * INTERACTION DESIGN:
+ * - Outlines: not interactive - taps go through to the map, where they
+ *   set the corners of a drawn area
+ */
+
+import { CircleMarker, Rectangle } from 'react-leaflet'
+
+const REGION_STYLE = { color: '#5f6368', weight: 1, fillOpacity: 0.05, interactive: false }
+const DRAFT_STYLE = { color: '#4285f4', weight: 2, dashArray: '6 6', fillOpacity: 0.08, interactive: false }
+
+// [south, west, north, east] as Leaflet bounds
+const toBounds = ([south, west, north, east]) => [[south, west], [north, east]]
+
+function OfflineRegionsLayer({ regions, draft, corner }) {
+  return (
+    <>
+      {regions.map(region => (
+        <Rectangle key={region.id} bounds={toBounds(region.bounds)} pathOptions={REGION_STYLE} />
+      ))}
+      {draft && <Rectangle bounds={toBounds(draft)} pathOptions={DRAFT_STYLE} />}
+      {corner && <CircleMarker center={corner} radius={6} pathOptions={{ color: '#4285f4', fillOpacity: 1 }} />}
+    </>
+  )
+}
+
+export default OfflineRegionsLayer
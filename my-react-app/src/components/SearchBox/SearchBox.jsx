@@ -0,0 +1,252 @@
+/**
+ * SearchBox Component
+ *
+ * PURPOSE: Header search with suggestions while typing
+ *
+ * INTERACTION DESIGN:
+ * - Input: INSTRUCTING - Type to get place suggestions, Enter to search
+ * - Suggestions: INSTRUCTING - Tap, or pick with ↑/↓ and Enter (Esc closes)
+ * - Empty focus: INSTRUCTING - Shows saved places and recent searches
+ * - Coordinates: INSTRUCTING - Paste lat/lon, DMS, a Plus Code or UTM to go there
+ *
+ * Suggestions mix the user's own places (saved first, then recent) with
+ * geocoder results ranked by distance from the bias point. Text that reads
+ * as coordinates gets a single "go to" suggestion and no geocoding.
+ * Providers that forbid autocomplete (public Nominatim) are only asked on
+ * Enter; typing then suggests the user's own places alone, with a row
+ * saying so.
+ */
+
+import { useState, useEffect, useRef } from 'react'
+import { searchPlaces, canAutocomplete, getGeocodingProvider } from '../../services/geocoding'
+import { getBoundsAround, getDistanceKm } from '../../utils/geo'
+import { parseCoordinates, formatCoordinates, COORDINATE_FORMATS } from '../../utils/coordinates'
+import { getAddressLine } from '../../utils/address'
+import './SearchBox.css'
+
+const SUGGEST_DELAY = 300 // ms to wait after typing before geocoding
+const MIN_QUERY_LENGTH = 3
+const MAX_OWN_PLACES = 3 // Saved/recent entries shown above results while typing
+
+const ICONS = { saved: '⭐', recent: '🕘', query: '🔍', place: '📍', coordinates: '📌' }
+
+function formatKm(km) {
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`
+}
+
+function SearchBox({
+  value,
+  onChange,
+  onSearch,
+  onSelectPlace,
+  isSearching,
+  disabled,
+  biasLocation,
+  recentSearches,
+  savedPlaces,
+  geocodingSettings,
+  onClearRecent
+}) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [remote, setRemote] = useState({ query: '', places: [] })
+  const inputRef = useRef(null)
+
+  const query = value.trim()
+  const coordinates = parseCoordinates(query, biasLocation)
+  const autocomplete = canAutocomplete(geocodingSettings)
+  const wantsQuery = query.length >= MIN_QUERY_LENGTH && !coordinates
+  const wantsRemote = isOpen && wantsQuery && autocomplete
+
+  // Debounced geocoder suggestions; stale queries are aborted
+  useEffect(() => {
+    if (!wantsRemote) return
+
+    const controller = new AbortController()
+    const timeout = setTimeout(async () => {
+      try {
+        const places = await searchPlaces(query, {
+          limit: 8,
+          near: biasLocation,
+          bounds: biasLocation && getBoundsAround(biasLocation, 0.15),
+          signal: controller.signal
+        }, geocodingSettings)
+        if (!controller.signal.aborted) setRemote({ query, places })
+      } catch (error) {
+        if (error.name !== 'AbortError') console.error('Suggestions failed:', error)
+      }
+    }, SUGGEST_DELAY)
+
+    return () => {
+      clearTimeout(timeout)
+      controller.abort()
+    }
+  }, [query, wantsRemote, biasLocation, geocodingSettings])
+
+  const withDistance = (place) => ({
+    ...place,
+    distance: biasLocation && place.lat !== undefined
+      ? getDistanceKm(biasLocation[0], biasLocation[1], place.lat, place.lon)
+      : undefined
+  })
+  const byDistance = (a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity)
+
+  // Own places first (saved, then recent), then geocoder results by distance
+  const text = query.toLowerCase()
+  const matches = (place) => `${place.name} ${place.address || ''}`.toLowerCase().includes(text)
+  const saved = savedPlaces.filter(matches).map(place => ({ ...withDistance(place), kind: 'saved' }))
+  const recent = recentSearches
+    .filter(entry => matches(entry) && !saved.some(place => place.id === entry.id))
+    .map(entry => ({ ...withDistance(entry), kind: entry.lat === undefined ? 'query' : 'recent' }))
+  const own = query ? [...saved.sort(byDistance), ...recent].slice(0, MAX_OWN_PLACES) : [...saved, ...recent]
+  const found = wantsRemote && remote.query === query
+    ? remote.places
+        .filter(place => !own.some(entry => entry.lat === place.lat && entry.lon === place.lon))
+        .map(place => ({ ...withDistance(place), kind: 'place' }))
+        .sort(byDistance)
+    : []
+  // Short Plus Codes with a town are placed by the search itself
+  const goTo = coordinates && {
+    kind: 'coordinates',
+    id: query,
+    name: coordinates.locality ? query : formatCoordinates(coordinates.position),
+    address: COORDINATE_FORMATS[coordinates.format],
+    distance: coordinates.locality || !biasLocation
+      ? undefined
+      : getDistanceKm(biasLocation[0], biasLocation[1], ...coordinates.position)
+  }
+  const items = goTo ? [goTo] : [...own, ...found]
+  const showSearchHint = wantsQuery && !autocomplete
+  const showList = isOpen && !disabled && (items.length > 0 || showSearchHint || (!query && recentSearches.length > 0))
+
+  const close = () => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  const choose = (item) => {
+    close()
+    inputRef.current?.blur() // Drop the mobile keyboard so the map shows
+    if (item.kind === 'coordinates') {
+      onSearch(query)
+    } else if (item.lat === undefined) {
+      onChange(item.name)
+      onSearch(item.name)
+    } else {
+      onSelectPlace(item)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      if (!isOpen) {
+        setIsOpen(true)
+        return
+      }
+      // Cycle through the suggestions and back to the typed text (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      const count = items.length + 1
+      setActiveIndex(index => (index + 1 + step + count) % count - 1)
+    } else if (e.key === 'Enter' && showList && activeIndex >= 0 && items[activeIndex]) {
+      e.preventDefault()
+      choose(items[activeIndex])
+    } else if (e.key === 'Escape') {
+      close()
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!query) return
+    close()
+    inputRef.current?.blur()
+    onSearch(query)
+  }
+
+  return (
+    <div className="search-box">
+      <form className="search-form" onSubmit={handleSubmit} role="search">
+        <input
+          ref={inputRef}
+          type="text"
+          placeholder="Search places..."
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value)
+            setIsOpen(true)
+            setActiveIndex(-1)
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
+          disabled={disabled}
+          autoComplete="off"
+          role="combobox"
+          aria-label="Search for a place"
+          aria-expanded={showList}
+          aria-controls="search-suggestions"
+          aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+        />
+        <button type="submit" disabled={isSearching || disabled} aria-label="Search">
+          {isSearching ? (
+            <span className="spinner"></span>
+          ) : (
+            <svg viewBox="0 0 24 24" width="20" height="20" fill="currentColor">
+              <path d="M15.5 14h-.79l-.28-.27C15.41 12.59 16 11.11 16 9.5 16 5.91 13.09 3 9.5 3S3 5.91 3 9.5 5.91 16 9.5 16c1.61 0 3.09-.59 4.23-1.57l.27.28v.79l5 4.99L20.49 19l-4.99-5zm-6 0C7.01 14 5 11.99 5 9.5S7.01 5 9.5 5 14 7.01 14 9.5 11.99 14 9.5 14z"/>
+            </svg>
+          )}
+        </button>
+      </form>
+
+      {showList && (
+        // Keep focus in the input while tapping a suggestion
+        <ul
+          id="search-suggestions"
+          className="search-suggestions"
+          role="listbox"
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {items.map((item, index) => (
+            <li
+              key={`${item.kind}-${item.id}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={activeIndex === index}
+            >
+              <button
+                className={activeIndex === index ? 'active' : ''}
+                onClick={() => choose(item)}
+                onMouseEnter={() => setActiveIndex(index)}
+                tabIndex={-1}
+              >
+                <span className="suggestion-icon">{ICONS[item.kind]}</span>
+                <span className="suggestion-text">
+                  <strong>{item.name}</strong>
+                  {item.address && <small>{getAddressLine(item)}</small>}
+                </span>
+                {item.distance !== undefined && (
+                  <span className="suggestion-distance">{formatKm(item.distance)}</span>
+                )}
+              </button>
+            </li>
+          ))}
+          {showSearchHint && (
+            <li className="search-suggestions-footer">
+              <button onClick={handleSubmit} tabIndex={-1}>
+                Press Enter to search - {getGeocodingProvider(geocodingSettings.provider).label} doesn't suggest places as you type
+              </button>
+            </li>
+          )}
+          {!query && recentSearches.length > 0 && (
+            <li className="search-suggestions-footer">
+              <button onClick={onClearRecent} tabIndex={-1}>Clear recent searches</button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchBox
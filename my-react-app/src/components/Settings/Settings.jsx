@@ -0,0 +1,449 @@
+/**
+ * Settings Component
+ *
+ * PURPOSE: App settings that are saved per browser
+ *
+ * INTERACTION DESIGN:
+ * - Routing provider: INSTRUCTING - Pick OSRM, Valhalla or GraphHopper
+ * - Search provider: INSTRUCTING - Pick Nominatim, Photon, Pelias or a local fixture
+ * - Search area: INSTRUCTING - Pick a region profile and drag the search radius
+ * - Category data: INSTRUCTING - Point the category chips at an Overpass server
+ * - Server fields: INSTRUCTING - Base URL, API key and per-mode profiles
+ * - Save: INSTRUCTING - Apply the edits to the next route
+ * - Reset: INSTRUCTING - Back to the env/built-in defaults
+ * - Offline roads: INSTRUCTING - Load an OSM road extract to route without signal
+ * - Saved responses: INSTRUCTING - See what the cache holds and clear it
+ *
+ * Edits stay in a local draft until saved, so a half-typed URL never
+ * reaches the router.
+ */
+
+import { useState, useEffect } from 'react'
+import { ROUTING_PROVIDERS, TRAVEL_MODES, getDefaultRoutingSettings, getRoutingProvider } from '../../services/routing'
+import { GEOCODING_PROVIDERS, getDefaultGeocodingSettings, getGeocodingProvider } from '../../services/geocoding'
+import { getDefaultOverpassSettings } from '../../services/overpass'
+import { CACHE_ENDPOINTS, CACHE_LIMITS, getCacheStats, clearCache } from '../../services/cache'
+import { REGION_PROFILES, SEARCH_RADIUS, getDefaultSearchSettings, getRegionProfile } from '../../services/searchArea'
+import './Settings.css'
+
+// Routing provider, server and per-mode profiles
+function RoutingSection({ routing, onSave, onReset }) {
+  const [draft, setDraft] = useState(routing)
+  const provider = getRoutingProvider(draft.provider)
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }))
+
+  const updateProfile = (modeId, value) => setDraft(current => ({
+    ...current,
+    profiles: { ...current.profiles, [modeId]: value }
+  }))
+
+  const handleReset = () => {
+    setDraft(getDefaultRoutingSettings())
+    onReset()
+  }
+
+  const isValid = draft.baseUrl.trim() && TRAVEL_MODES.every(mode => draft.profiles[mode.id]?.trim())
+
+  return (
+    <section className="settings-section">
+      <h3>Routing</h3>
+
+      <label className="settings-field">
+        <span>Provider</span>
+        {/* A new provider starts from its own defaults */}
+        <select
+          value={draft.provider}
+          onChange={(e) => setDraft(getDefaultRoutingSettings(e.target.value))}
+        >
+          {ROUTING_PROVIDERS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        <span>Base URL</span>
+        <input
+          type="url"
+          value={draft.baseUrl}
+          placeholder={provider.defaults.baseUrl}
+          onChange={(e) => update({ baseUrl: e.target.value })}
+          spellCheck={false}
+        />
+        <small>Use {'{profile}'} for servers that host one profile each</small>
+      </label>
+
+      <label className="settings-field">
+        <span>API key</span>
+        <input
+          type="password"
+          value={draft.apiKey}
+          placeholder="Not needed for self-hosted servers"
+          onChange={(e) => update({ apiKey: e.target.value })}
+          autoComplete="off"
+        />
+      </label>
+
+      <div className="settings-profiles">
+        {TRAVEL_MODES.map(mode => (
+          <label key={mode.id} className="settings-field">
+            <span>{mode.icon} {mode.label} profile</span>
+            <input
+              type="text"
+              value={draft.profiles[mode.id] || ''}
+              placeholder={provider.defaults.profiles[mode.id]}
+              onChange={(e) => updateProfile(mode.id, e.target.value)}
+              spellCheck={false}
+            />
+          </label>
+        ))}
+      </div>
+
+      {!provider.supportsOptimize && (
+        <p className="settings-note">{provider.label} visits stops in the order given - it cannot find the best order.</p>
+      )}
+
+      <div className="settings-actions">
+        <button className="settings-reset" onClick={handleReset}>
+          Reset to defaults
+        </button>
+        <button className="settings-save" onClick={() => onSave(draft)} disabled={!isValid}>
+          Save
+        </button>
+      </div>
+    </section>
+  )
+}
+
+// Geocoding provider, server and the contact email sent with requests
+function GeocodingSection({ geocoding, onSave, onReset }) {
+  const [draft, setDraft] = useState(geocoding)
+  const provider = getGeocodingProvider(draft.provider)
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }))
+
+  const handleReset = () => {
+    setDraft(getDefaultGeocodingSettings())
+    onReset()
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Search</h3>
+
+      <label className="settings-field">
+        <span>Provider</span>
+        <select
+          value={draft.provider}
+          onChange={(e) => setDraft({ ...getDefaultGeocodingSettings(e.target.value), email: draft.email })}
+        >
+          {GEOCODING_PROVIDERS.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="settings-field">
+        <span>{provider.id === 'fixture' ? 'Fixture file URL' : 'Base URL'}</span>
+        <input
+          type="url"
+          value={draft.baseUrl}
+          placeholder={provider.defaults.baseUrl}
+          onChange={(e) => update({ baseUrl: e.target.value })}
+          spellCheck={false}
+        />
+      </label>
+
+      <label className="settings-field">
+        <span>API key</span>
+        <input
+          type="password"
+          value={draft.apiKey}
+          placeholder="Not needed for public or self-hosted servers"
+          onChange={(e) => update({ apiKey: e.target.value })}
+          autoComplete="off"
+        />
+      </label>
+
+      <label className="settings-field">
+        <span>Contact email</span>
+        <input
+          type="email"
+          value={draft.email}
+          placeholder="you@example.com"
+          onChange={(e) => update({ email: e.target.value })}
+        />
+        <small>Identifies LiteMap to Nominatim, as its usage policy asks</small>
+      </label>
+
+      {provider.minInterval > 0 && (
+        <p className="settings-note">Requests are spaced at least {provider.minInterval} ms apart.</p>
+      )}
+      {!provider.autocomplete && (
+        <p className="settings-note">
+          {provider.label} can't be asked while you type, so searches only run on Enter - pick Photon or Pelias for suggestions.
+        </p>
+      )}
+
+      <div className="settings-actions">
+        <button className="settings-reset" onClick={handleReset}>
+          Reset to defaults
+        </button>
+        <button className="settings-save" onClick={() => onSave(draft)} disabled={!draft.baseUrl.trim()}>
+          Save
+        </button>
+      </div>
+    </section>
+  )
+}
+
+// Search radius and the region profile searches fall back to
+function SearchAreaSection({ searchArea, onSave, onReset }) {
+  const [draft, setDraft] = useState(searchArea)
+  const region = getRegionProfile(draft.region)
+
+  const handleReset = () => {
+    setDraft(getDefaultSearchSettings())
+    onReset()
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Search area</h3>
+
+      <label className="settings-field">
+        <span>Region</span>
+        <select
+          value={draft.region}
+          onChange={(e) => setDraft(current => ({ ...current, region: e.target.value }))}
+        >
+          {REGION_PROFILES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <small>
+          {region.fallback === 'world'
+            ? 'Nothing nearby? Search everywhere.'
+            : `Nothing nearby? Search all of ${region.label}.`}
+        </small>
+      </label>
+
+      <label className="settings-field">
+        <span>Search radius: {draft.radiusKm} km</span>
+        <input
+          type="range"
+          min={SEARCH_RADIUS.min}
+          max={SEARCH_RADIUS.max}
+          step={SEARCH_RADIUS.step}
+          value={draft.radiusKm}
+          onChange={(e) => setDraft(current => ({ ...current, radiusKm: Number(e.target.value) }))}
+        />
+        <small>Drawn as a circle around your location or dropped pin</small>
+      </label>
+
+      <div className="settings-actions">
+        <button className="settings-reset" onClick={handleReset}>
+          Reset to defaults
+        </button>
+        <button className="settings-save" onClick={() => onSave(draft)}>
+          Save
+        </button>
+      </div>
+    </section>
+  )
+}
+
+// Overpass endpoint the category chips query
+function OverpassSection({ overpass, onSave, onReset }) {
+  const [draft, setDraft] = useState(overpass)
+
+  const handleReset = () => {
+    setDraft(getDefaultOverpassSettings())
+    onReset()
+  }
+
+  return (
+    <section className="settings-section">
+      <h3>Category data</h3>
+
+      <label className="settings-field">
+        <span>Overpass endpoint</span>
+        <input
+          type="url"
+          value={draft.baseUrl}
+          placeholder={getDefaultOverpassSettings().baseUrl}
+          onChange={(e) => setDraft({ baseUrl: e.target.value })}
+          spellCheck={false}
+        />
+        <small>The full interpreter URL, e.g. http://localhost:12345/api/interpreter</small>
+      </label>
+
+      <div className="settings-actions">
+        <button className="settings-reset" onClick={handleReset}>
+          Reset to defaults
+        </button>
+        <button className="settings-save" onClick={() => onSave(draft)} disabled={!draft.baseUrl.trim()}>
+          Save
+        </button>
+      </div>
+    </section>
+  )
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+function formatTtl(ms) {
+  const hours = Math.round(ms / 3600000)
+  return hours % 24 === 0 ? `${hours / 24} day${hours === 24 ? '' : 's'}` : `${hours} h`
+}
+
+// What the response cache holds, per endpoint, with clear buttons
+function CacheSection() {
+  const [stats, setStats] = useState(null) // null while loading, false if IndexedDB is unavailable
+
+  const refresh = () => getCacheStats().then(setStats, () => setStats(false))
+
+  useEffect(() => {
+    let isCurrent = true
+    getCacheStats().then(
+      result => { if (isCurrent) setStats(result) },
+      () => { if (isCurrent) setStats(false) }
+    )
+    return () => { isCurrent = false }
+  }, [])
+
+  const handleClear = async (endpoint) => {
+    try {
+      await clearCache(endpoint)
+    } catch (error) {
+      console.error('Clearing the cache failed:', error)
+    }
+    refresh()
+  }
+
+  const totals = stats && Object.values(stats).reduce(
+    (sum, item) => ({ count: sum.count + item.count, bytes: sum.bytes + item.bytes }),
+    { count: 0, bytes: 0 }
+  )
+
+  return (
+    <section className="settings-section">
+      <h3>Saved responses</h3>
+      <p className="settings-note">
+        Searches, pin names, routes and category places are kept in this browser, so
+        repeats are instant and work offline. Up to {CACHE_LIMITS.entries.toLocaleString()} answers
+        or {formatBytes(CACHE_LIMITS.bytes)}; the least recently used go first.
+      </p>
+
+      {stats === null ? (
+        <p className="settings-note">Reading cache…</p>
+      ) : stats === false ? (
+        <p className="settings-note">Storage is unavailable in this browser - nothing is cached.</p>
+      ) : (
+        <>
+          <ul className="settings-cache">
+            {Object.entries(CACHE_ENDPOINTS).map(([endpoint, { label, ttl }]) => (
+              <li key={endpoint}>
+                <div>
+                  <strong>{label}</strong>
+                  <small>
+                    {stats[endpoint].count} saved • {formatBytes(stats[endpoint].bytes)}
+                    {stats[endpoint].stale > 0 && ` • ${stats[endpoint].stale} expired`}
+                    {` • fresh for ${formatTtl(ttl)}`}
+                  </small>
+                </div>
+                <button
+                  onClick={() => handleClear(endpoint)}
+                  disabled={stats[endpoint].count === 0}
+                  aria-label={`Clear ${label}`}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="settings-actions">
+            <button className="settings-reset" onClick={() => handleClear()} disabled={totals.count === 0}>
+              Clear all ({formatBytes(totals.bytes)})
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+function Settings({
+  routing,
+  onRoutingSave,
+  onRoutingReset,
+  geocoding,
+  onGeocodingSave,
+  onGeocodingReset,
+  searchArea,
+  onSearchAreaSave,
+  onSearchAreaReset,
+  overpass,
+  onOverpassSave,
+  onOverpassReset,
+  offlineRoads,
+  isLoadingRoads,
+  onOfflineRoadsLoad,
+  onOfflineRoadsRemove
+}) {
+  return (
+    <div className="settings-view">
+      <RoutingSection routing={routing} onSave={onRoutingSave} onReset={onRoutingReset} />
+
+      <GeocodingSection geocoding={geocoding} onSave={onGeocodingSave} onReset={onGeocodingReset} />
+
+      <SearchAreaSection searchArea={searchArea} onSave={onSearchAreaSave} onReset={onSearchAreaReset} />
+
+      <OverpassSection overpass={overpass} onSave={onOverpassSave} onReset={onOverpassReset} />
+
+      <section className="settings-section">
+        <h3>Offline roads</h3>
+        <p className="settings-note">
+          Used when the routing server can't be reached. Load a small OSM extract
+          of your area (.osm.pbf, .osm or GeoJSON roads) while you still have signal.
+        </p>
+
+        {offlineRoads ? (
+          <div className="settings-file">
+            <span>📴</span>
+            <div>
+              <strong>{offlineRoads.name}</strong>
+              <small>{offlineRoads.roadCount.toLocaleString()} roads • {offlineRoads.nodeCount.toLocaleString()} junctions and bends</small>
+            </div>
+            <button onClick={onOfflineRoadsRemove} aria-label="Remove offline roads">✕</button>
+          </div>
+        ) : (
+          <p className="settings-note">No road extract loaded.</p>
+        )}
+
+        <label className={`settings-upload ${isLoadingRoads ? 'loading' : ''}`}>
+          {isLoadingRoads ? 'Building road graph…' : offlineRoads ? 'Replace road extract' : 'Load road extract'}
+          <input
+            type="file"
+            accept=".pbf,.osm,.xml,.geojson,.json"
+            disabled={isLoadingRoads}
+            onChange={(e) => {
+              const file = e.target.files[0]
+              e.target.value = '' // Allow picking the same file again
+              if (file) onOfflineRoadsLoad(file)
+            }}
+          />
+        </label>
+      </section>
+
+      <CacheSection />
+    </div>
+  )
+}
+
+export default Settings
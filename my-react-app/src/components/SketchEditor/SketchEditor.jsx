@@ -0,0 +1,76 @@
+/**
+ * SketchEditor Component
+ *
+ * PURPOSE: Name, describe, color and reshape one drawn sketch
+ *
+ * INTERACTION DESIGN:
+ * - Name / Description: INSTRUCTING - What the sketch marks; shown in its popup and the export
+ * - Color: INSTRUCTING - Tap a swatch
+ * - Vertices: INSTRUCTING - Drag a white handle to move it, tap it to delete it,
+ *   drag or tap a faded handle between two to add one
+ * - Delete / Done: INSTRUCTING - Remove the sketch, or stop editing
+ *
+ * Changes apply (and persist) right away, like the category list.
+ */
+
+import { SKETCH_TYPES } from '../../services/sketches'
+import { LAYER_COLORS } from '../../services/layers'
+import './SketchEditor.css'
+
+function SketchEditor({ sketch, onChange, onDelete, onDone }) {
+  const type = SKETCH_TYPES[sketch.type]
+
+  return (
+    <div className="sketch-editor">
+      <label className="sketch-field">
+        <span>Name</span>
+        <input
+          type="text"
+          value={sketch.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+        />
+      </label>
+
+      <label className="sketch-field">
+        <span>Description</span>
+        <textarea
+          value={sketch.description}
+          placeholder="Washed-out section, passable on foot"
+          onChange={(e) => onChange({ description: e.target.value })}
+          rows={3}
+        />
+      </label>
+
+      <div className="sketch-field">
+        <span>Color</span>
+        <div className="sketch-colors" role="radiogroup" aria-label="Color">
+          {LAYER_COLORS.map(color => (
+            <button
+              key={color}
+              className={`sketch-color ${sketch.color === color ? 'active' : ''}`}
+              style={{ background: color }}
+              onClick={() => onChange({ color })}
+              role="radio"
+              aria-checked={sketch.color === color}
+              aria-label={color}
+            />
+          ))}
+        </div>
+      </div>
+
+      <p className="sketch-note">
+        {type.icon} {type.label}
+        {sketch.type === 'point'
+          ? ' - drag the white handle to move it.'
+          : ` with ${sketch.points.length} points - drag a white handle to move it, tap it to delete it; drag or tap a faded one to add a point.`}
+      </p>
+
+      <div className="sketch-actions">
+        <button className="sketch-delete" onClick={onDelete}>Delete</button>
+        <button className="sketch-done" onClick={onDone}>Done</button>
+      </div>
+    </div>
+  )
+}
+
+export default SketchEditor
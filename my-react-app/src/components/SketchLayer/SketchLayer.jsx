@@ -0,0 +1,117 @@
+/**
+ * SketchLayer Component
+ *
+ * PURPOSE: The user's drawn sketches on the map, the handles of the one
+ * being edited and the line or area still being drawn
+ *
+ * INTERACTION DESIGN:
+ * - Sketch: INSTRUCTING - Tap to open it in the editor
+ * - Vertex handle: MANIPULATING - Drag to move the vertex, tap to remove it
+ * - Mid-edge handle: MANIPULATING - Drag or tap to add a vertex there
+ *
+ * While drawing, taps on sketches fall through to the map and add points.
+ */
+
+import { CircleMarker, Marker, Polygon, Polyline } from 'react-leaflet'
+import L from 'leaflet'
+import './SketchLayer.css'
+
+const VERTEX_ICON = L.divIcon({ className: 'sketch-vertex', iconSize: [14, 14] })
+const MIDPOINT_ICON = L.divIcon({ className: 'sketch-vertex midpoint', iconSize: [12, 12] })
+
+const DRAFT_STYLE = { color: '#4285f4', weight: 2, dashArray: '6 6', fillOpacity: 0.1, interactive: false }
+const DRAFT_POINT_STYLE = { color: 'white', weight: 2, fillColor: '#4285f4', fillOpacity: 1, interactive: false }
+
+// One drawn sketch; without onOpen, taps on it fall through to the map
+function SketchShape({ sketch, onOpen }) {
+  const pathOptions = { color: sketch.color, weight: 3, fillOpacity: 0.2 }
+  const eventHandlers = {
+    click: (e) => {
+      if (!onOpen) return
+      L.DomEvent.stopPropagation(e) // Don't drop a pin
+      onOpen(sketch)
+    }
+  }
+  
+  if (sketch.type === 'point') {
+    return (
+      <CircleMarker
+        center={sketch.points[0]}
+        radius={7}
+        pathOptions={{ color: 'white', weight: 2, fillColor: sketch.color, fillOpacity: 1 }}
+        eventHandlers={eventHandlers}
+      />
+    )
+  }
+  return sketch.type === 'line'
+    ? <Polyline positions={sketch.points} pathOptions={pathOptions} eventHandlers={eventHandlers} />
+    : <Polygon positions={sketch.points} pathOptions={pathOptions} eventHandlers={eventHandlers} />
+}
+
+// Handles for the sketch being edited: one per vertex, plus one mid-edge to add a vertex
+function SketchHandles({ sketch, onMove, onInsert, onRemove }) {
+  const { points } = sketch
+  const edgeCount = sketch.type === 'polygon' ? points.length : points.length - 1
+  const midpoints = Array.from({ length: edgeCount }, (_, i) => {
+    const [a, b] = [points[i], points[(i + 1) % points.length]]
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+  })
+  
+  return (
+    <>
+      {points.map((point, index) => (
+        <Marker
+          key={`vertex-${index}-${point.join()}`}
+          position={point}
+          icon={VERTEX_ICON}
+          draggable
+          eventHandlers={{
+            dragend: (e) => onMove(index, e.target.getLatLng()),
+            click: () => onRemove(index)
+          }}
+        />
+      ))}
+      {midpoints.map((point, index) => (
+        <Marker
+          key={`midpoint-${index}-${point.join()}`}
+          position={point}
+          icon={MIDPOINT_ICON}
+          draggable
+          eventHandlers={{
+            dragend: (e) => onInsert(index + 1, e.target.getLatLng()),
+            click: () => onInsert(index + 1, L.latLng(point))
+          }}
+        />
+      ))}
+    </>
+  )
+}
+
+function SketchLayer({ sketches, visible, editing, drawMode, drawPoints, onOpen, onVertexMove, onVertexInsert, onVertexRemove }) {
+  return (
+    <>
+      {sketches.filter(sketch => visible || sketch.id === editing?.id).map(sketch => (
+        <SketchShape key={sketch.id} sketch={sketch} onOpen={drawMode ? null : onOpen} />
+      ))}
+      {editing && (
+        <SketchHandles
+          sketch={editing}
+          onMove={onVertexMove}
+          onInsert={onVertexInsert}
+          onRemove={onVertexRemove}
+        />
+      )}
+      
+      {/* Line or area being drawn */}
+      {drawPoints.length > 0 && (drawMode === 'polygon'
+        ? <Polygon positions={drawPoints} pathOptions={DRAFT_STYLE} />
+        : <Polyline positions={drawPoints} pathOptions={DRAFT_STYLE} />
+      )}
+      {drawPoints.map((point, index) => (
+        <CircleMarker key={index} center={point} radius={5} pathOptions={DRAFT_POINT_STYLE} />
+      ))}
+    </>
+  )
+}
+
+export default SketchLayer
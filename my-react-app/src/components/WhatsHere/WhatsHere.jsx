@@ -0,0 +1,61 @@
+/**
+ * WhatsHere Component
+ *
+ * PURPOSE: The extra detail a dropped pin gets below its place card -
+ * the point in every coordinate format and what is right around it
+ *
+ * INTERACTION DESIGN:
+ * - Coordinate rows: INSTRUCTING - Tap to copy (decimal, DMS, Plus Code, UTM)
+ * - Nearby list: INSTRUCTING - Tap a place to select it and see its actions
+ */
+
+import { COORDINATE_FORMATS, formatCoordinates } from '../../utils/coordinates'
+import './WhatsHere.css'
+
+function WhatsHere({ position, nearby, onCopy, onNearbyClick }) {
+  const coordinates = Object.entries(COORDINATE_FORMATS)
+    .map(([format, label]) => ({ format, label, text: formatCoordinates(position, format) }))
+    .filter(row => row.text)
+
+  return (
+    <div className="whats-here">
+      <h4>Coordinates</h4>
+      <ul className="whats-here-coordinates">
+        {coordinates.map(row => (
+          <li key={row.format}>
+            <button onClick={() => onCopy(row.text, row.label)} aria-label={`Copy ${row.label}`}>
+              <small>{row.label}</small>
+              <span>{row.text}</span>
+              <span className="whats-here-copy" aria-hidden="true">📋</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <h4>Nearby</h4>
+      {nearby === null ? (
+        <p className="whats-here-note">Looking around…</p>
+      ) : nearby === false ? (
+        <p className="whats-here-note">Couldn't load nearby places</p>
+      ) : nearby.length === 0 ? (
+        <p className="whats-here-note">No named places within 200 m</p>
+      ) : (
+        <ul className="whats-here-nearby">
+          {nearby.map(place => (
+            <li key={place.id}>
+              <button onClick={() => onNearbyClick(place)}>
+                <span>
+                  <strong>{place.name}</strong>
+                  <small>{place.type?.replace(/_/g, ' ')}</small>
+                </span>
+                <span className="whats-here-distance">{Math.round(place.distance * 1000)} m</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default WhatsHere
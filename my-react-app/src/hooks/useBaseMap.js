@@ -0,0 +1,32 @@
+/**
+ * useBaseMap Hook
+ *
+ * PURPOSE: The tile sources from the registry file and the base map shown,
+ * remembered per browser (see ../services/tileSources)
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { DEFAULT_TILE_SOURCES, loadTileSources, getTileSource, loadBaseMapId, saveBaseMapId } from '../services/tileSources'
+
+function useBaseMap() {
+  const [tileSources, setTileSources] = useState(DEFAULT_TILE_SOURCES)
+  const [baseMapId, setBaseMapId] = useState(loadBaseMapId)
+  const baseMap = getTileSource(tileSources, baseMapId)
+
+  // Read the registry - the built-in OSM layer stays if it can't be loaded
+  useEffect(() => {
+    loadTileSources()
+      .then(setTileSources)
+      .catch(error => console.warn('Tile sources unavailable, using defaults:', error))
+  }, [])
+
+  // Switch base map and remember it
+  const changeBaseMap = useCallback((id) => {
+    setBaseMapId(id)
+    saveBaseMapId(id)
+  }, [])
+
+  return { tileSources, baseMap, changeBaseMap }
+}
+
+export default useBaseMap
@@ -0,0 +1,91 @@
+/**
+ * useImportedLayers Hook
+ *
+ * PURPOSE: The user's imported overlay layers (GeoJSON, KML, GPX,
+ * Shapefile, CSV) - importing picked or dropped files, showing, hiding and
+ * removing them (see ../services/layers)
+ */
+
+import { useState, useEffect } from 'react'
+import { loadLayers, saveLayer, removeLayer, importLayerFile } from '../services/layers'
+
+// Fit the map around [south, west, north, east] boxes
+function fitBoundsList(map, boundsList) {
+  const south = Math.min(...boundsList.map(bounds => bounds[0]))
+  const west = Math.min(...boundsList.map(bounds => bounds[1]))
+  const north = Math.max(...boundsList.map(bounds => bounds[2]))
+  const east = Math.max(...boundsList.map(bounds => bounds[3]))
+  map?.fitBounds([[south, west], [north, east]], { padding: [40, 40], maxZoom: 17 })
+}
+
+function useImportedLayers({ mapRef, showToast }) {
+  const [layers, setLayers] = useState([])
+  const [isImporting, setIsImporting] = useState(false)
+  const [isDraggingFile, setIsDraggingFile] = useState(false) // A file is dragged over the map
+
+  // Bring back the layers imported in earlier sessions
+  useEffect(() => {
+    loadLayers().then(setLayers)
+  }, [])
+
+  // Read files one by one; a bad file doesn't stop the rest
+  const importFiles = async (files) => {
+    setIsImporting(true)
+    const added = []
+    for (const file of files) {
+      try {
+        added.push(...await importLayerFile(file, layers.length + added.length))
+      } catch (error) {
+        console.error('Layer import failed:', error)
+        showToast(`❌ ${file.name}: ${error.message}`)
+      }
+    }
+    setIsImporting(false)
+    if (added.length === 0) return
+
+    setLayers(current => [...current, ...added])
+    fitBoundsList(mapRef.current, added.map(layer => layer.bounds))
+    showToast(added.length === 1 ? `🗂 Added ${added[0].name}` : `🗂 Added ${added.length} layers`)
+  }
+
+  const toggle = (layer) => {
+    const updated = { ...layer, visible: !layer.visible }
+    setLayers(current => current.map(l => (l.id === layer.id ? updated : l)))
+    saveLayer(updated)
+  }
+
+  // Make a layer visible and fit it on screen
+  const show = (layer) => {
+    if (!layer.visible) toggle(layer)
+    fitBoundsList(mapRef.current, [layer.bounds])
+  }
+
+  const remove = (layer) => {
+    setLayers(current => current.filter(l => l.id !== layer.id))
+    removeLayer(layer)
+    showToast(`🗑️ ${layer.name} removed`)
+  }
+
+  // Drop target props for the map - only react to files, not dragged text or links
+  const dropTarget = {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'copy'
+      if (!isDraggingFile) setIsDraggingFile(true)
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false)
+    },
+    onDrop: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return
+      e.preventDefault()
+      setIsDraggingFile(false)
+      importFiles([...e.dataTransfer.files])
+    }
+  }
+
+  return { layers, isImporting, isDraggingFile, importFiles, toggle, show, remove, dropTarget }
+}
+
+export default useImportedLayers
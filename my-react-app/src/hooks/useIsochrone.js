@@ -0,0 +1,57 @@
+/**
+ * useIsochrone Hook
+ *
+ * PURPOSE: The reachable-area overlay around the bias point - its bands,
+ * time preset and the band category filters are limited to
+ * (see ../services/isochrone)
+ *
+ * The overlay keeps its own travel mode, starting from the directions one,
+ * so switching it leaves the route alone.
+ */
+
+import { useState, useCallback } from 'react'
+import { ISOCHRONE_PRESETS, fetchIsochrones } from '../services/isochrone'
+
+function useIsochrone({ travelMode, routingSettings, isAnimating, ensureBiasLocation, showToast }) {
+  const [isochrone, setIsochrone] = useState(null) // { center, mode, bands: [{ minutes, polygons }] }
+  const [preset, setPreset] = useState(0)
+  const [limit, setLimit] = useState(null) // Band (minutes) category filters stay within
+  const [isLoading, setIsLoading] = useState(false)
+
+  // Compute the bands around the bias point
+  const show = useCallback(async (mode = isochrone?.mode ?? travelMode, presetIndex = preset) => {
+    if (isAnimating) return
+
+    setIsLoading(true)
+    const center = await ensureBiasLocation()
+
+    try {
+      const bands = await fetchIsochrones(center, mode, ISOCHRONE_PRESETS[presetIndex], routingSettings)
+      setIsochrone({ center, mode, bands })
+      // Drop a filter limit that no longer matches one of the bands
+      setLimit(current => (bands.some(band => band.minutes === current) ? current : null))
+    } catch (error) {
+      console.error('Isochrone failed:', error)
+      showToast('⏱ Could not compute reachable area')
+    }
+    setIsLoading(false)
+  }, [isAnimating, isochrone, travelMode, preset, routingSettings, ensureBiasLocation, showToast])
+
+  const toggle = () => {
+    if (isochrone) {
+      setIsochrone(null)
+      setLimit(null)
+    } else {
+      show()
+    }
+  }
+
+  const changePreset = (index) => {
+    setPreset(index)
+    show(undefined, index)
+  }
+
+  return { isochrone, preset, limit, isLoading, show, toggle, changePreset, setLimit }
+}
+
+export default useIsochrone
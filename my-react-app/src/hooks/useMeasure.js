@@ -0,0 +1,41 @@
+/**
+ * useMeasure Hook
+ *
+ * PURPOSE: The measure tool's path or shape and the units it is shown in
+ *
+ * `measure` is { mode: 'line' | 'area', points: [[lat, lng]...] } while
+ * the tool is open, null otherwise.
+ */
+
+import { useState, useCallback } from 'react'
+import { loadMeasureUnits, saveMeasureUnits } from '../utils/units'
+
+function useMeasure() {
+  const [measure, setMeasure] = useState(null)
+  const [units, setUnits] = useState(loadMeasureUnits)
+
+  const open = () => setMeasure({ mode: 'line', points: [] })
+  const close = useCallback(() => setMeasure(null), [])
+
+  // Every map tap adds a point
+  const addPoint = useCallback((position) => {
+    setMeasure(current => ({ ...current, points: [...current.points, position] }))
+  }, [])
+
+  const movePoint = (index, { lat, lng }) => {
+    setMeasure(current => ({ ...current, points: current.points.map((point, i) => (i === index ? [lat, lng] : point)) }))
+  }
+
+  const setMode = (mode) => setMeasure(current => ({ ...current, mode }))
+  const undo = () => setMeasure(current => ({ ...current, points: current.points.slice(0, -1) }))
+  const clear = () => setMeasure(current => ({ ...current, points: [] }))
+
+  const changeUnits = (next) => {
+    setUnits(next)
+    saveMeasureUnits(next)
+  }
+
+  return { measure, isMeasuring: measure !== null, units, open, close, addPoint, movePoint, setMode, undo, clear, changeUnits }
+}
+
+export default useMeasure
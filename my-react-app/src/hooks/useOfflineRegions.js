@@ -0,0 +1,130 @@
+/**
+ * useOfflineRegions Hook
+ *
+ * PURPOSE: The saved offline map areas, the area being chosen and the
+ * download in progress (see ../services/offlineTiles)
+ *
+ * An area is chosen from the map view or by tapping two opposite corners:
+ * `drawing` is 'start' until the first tap, then that corner [lat, lng].
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { loadRegions, downloadRegion, deleteRegion, countTiles } from '../services/offlineTiles'
+
+function useOfflineRegions({ tileSources, baseMap, showToast }) {
+  const [regions, setRegions] = useState([])
+  const [draft, setDraft] = useState(null) // [south, west, north, east] of the area to save
+  const [drawing, setDrawing] = useState(null)
+  const [progress, setProgress] = useState(null) // { done, total, failed } while downloading
+  const download = useRef(null) // AbortController of the running download
+
+  // List the regions saved in earlier sessions
+  useEffect(() => {
+    loadRegions().then(setRegions)
+  }, [])
+
+  const getSource = (region) => tileSources.find(source => source.id === region.sourceId)
+
+  // Saved tiles are looked up only for base maps that have some
+  const hasSavedTiles = regions.some(region => region.sourceId === baseMap.id)
+
+  const chooseArea = (bounds) => {
+    setDraft(bounds)
+    setDrawing(null)
+  }
+
+  // Start or stop tapping corners; returns whether drawing started
+  const toggleDrawing = () => {
+    setDrawing(drawing ? null : 'start')
+    return !drawing
+  }
+
+  // A map tap while drawing - returns true once the second corner sets the area
+  const addCorner = useCallback(([lat, lng]) => {
+    if (drawing === 'start') {
+      setDrawing([lat, lng])
+      return false
+    }
+    const [firstLat, firstLng] = drawing
+    setDraft([Math.min(lat, firstLat), Math.min(lng, firstLng), Math.max(lat, firstLat), Math.max(lng, firstLng)])
+    setDrawing(null)
+    return true
+  }, [drawing])
+
+  // Download a region's tiles from `source`, for a new region or a refresh
+  const run = async (region, source) => {
+    const controller = new AbortController()
+    download.current = controller
+    setProgress({ done: 0, total: countTiles(region.bounds, region.minZoom, region.maxZoom), failed: 0 })
+
+    try {
+      const saved = await downloadRegion(region, source, {
+        signal: controller.signal,
+        // Every tile would re-render the whole app - update every tenth
+        onProgress: (next) => {
+          if (next.done % 10 === 0 || next.done === next.total) setProgress(next)
+        }
+      })
+      setRegions(current => (current.some(r => r.id === saved.id)
+        ? current.map(r => (r.id === saved.id ? saved : r))
+        : [saved, ...current]))
+      showToast(saved.failed > 0
+        ? `📴 ${saved.name} saved, ${saved.failed} tiles missing`
+        : `📴 ${saved.name} saved for offline use`)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showToast('📴 Download cancelled')
+      } else {
+        console.error('Region download failed:', error)
+        showToast(`❌ ${error.message}`)
+      }
+    }
+    download.current = null
+    setProgress(null)
+  }
+
+  // Save the chosen area from the base map shown
+  const downloadDraft = ({ name, minZoom, maxZoom }) => {
+    if (!draft) return
+    const region = { id: `region-${Date.now()}`, name, bounds: draft, minZoom, maxZoom }
+    setDraft(null)
+    run(region, baseMap)
+  }
+
+  const canRefresh = (region) => Boolean(getSource(region)?.allowOffline)
+
+  const refresh = (region) => {
+    if (canRefresh(region)) run(region, getSource(region))
+  }
+
+  const cancel = () => download.current?.abort()
+
+  const remove = async (region) => {
+    try {
+      setRegions(await deleteRegion(region, regions))
+      showToast(`🗑️ ${region.name} deleted`)
+    } catch (error) {
+      console.error('Region delete failed:', error)
+      showToast('❌ Could not delete the area')
+    }
+  }
+
+  return {
+    regions,
+    draft,
+    drawing,
+    progress,
+    hasSavedTiles,
+    getSource,
+    canRefresh,
+    chooseArea,
+    toggleDrawing,
+    addCorner,
+    downloadDraft,
+    refresh,
+    cancel,
+    remove
+  }
+}
+
+export default useOfflineRegions
@@ -0,0 +1,123 @@
+/**
+ * useSketches Hook
+ *
+ * PURPOSE: The sketch layer - drawing new points, lines and areas with the
+ * toolbar, and editing, deleting and exporting drawn ones
+ * (see ../services/sketches)
+ *
+ * Finishing a drawing opens the new sketch for editing; the calls that do
+ * return it, so the caller can show the editor.
+ */
+
+import { useState, useCallback } from 'react'
+import L from 'leaflet'
+import { downloadFile } from '../utils/export'
+import { SKETCH_TYPES, loadSketches, saveSketches, createSketch, toSketchesGeoJSON } from '../services/sketches'
+
+function useSketches({ mapRef, showToast }) {
+  const [sketches, setSketches] = useState(loadSketches)
+  const [visible, setVisible] = useState(true)
+  const [drawMode, setDrawMode] = useState(null) // SKETCH_TYPES key while drawing
+  const [drawPoints, setDrawPoints] = useState([]) // Points of the line/area being drawn
+  const [editingId, setEditingId] = useState(null)
+  const editing = sketches.find(sketch => sketch.id === editingId)
+
+  // Save a drawn sketch and open it for editing
+  const finish = useCallback((type, points) => {
+    const sketch = createSketch(type, points, sketches)
+    setSketches(saveSketches([...sketches, sketch]))
+    setDrawMode(null)
+    setDrawPoints([])
+    setEditingId(sketch.id)
+    return sketch
+  }, [sketches])
+
+  // Pick a drawing tool (or none); a new tool starts a fresh sketch
+  const startDrawing = (mode) => {
+    setDrawMode(mode)
+    setDrawPoints([])
+    if (mode) setEditingId(null)
+  }
+
+  // A map tap while drawing - a point takes one tap, lines and areas collect taps until ✓
+  const addDrawPoint = useCallback((position) => {
+    if (drawMode === 'point') return finish('point', [position])
+    setDrawPoints(current => [...current, position])
+    return null
+  }, [drawMode, finish])
+
+  const undoDrawPoint = () => setDrawPoints(current => current.slice(0, -1))
+
+  const finishDrawing = () => (
+    drawPoints.length >= SKETCH_TYPES[drawMode].minPoints ? finish(drawMode, drawPoints) : null
+  )
+
+  const open = (sketch) => setEditingId(sketch.id)
+  const close = useCallback(() => setEditingId(null), [])
+
+  // Picked from the layer list - also bring it into view
+  const select = (sketch) => {
+    open(sketch)
+    if (!visible) setVisible(true)
+    mapRef.current?.fitBounds(L.latLngBounds(sketch.points), { padding: [40, 40], maxZoom: 17 })
+  }
+
+  // Name, description or color of the sketch being edited
+  const update = (changes) => {
+    setSketches(saveSketches(sketches.map(sketch => (sketch.id === editing.id ? { ...sketch, ...changes } : sketch))))
+  }
+
+  const updatePoints = (change) => update({ points: change(editing.points) })
+
+  const moveVertex = (index, { lat, lng }) => {
+    updatePoints(points => points.map((point, i) => (i === index ? [lat, lng] : point)))
+  }
+
+  const insertVertex = (index, { lat, lng }) => {
+    updatePoints(points => [...points.slice(0, index), [lat, lng], ...points.slice(index)])
+  }
+
+  const removeVertex = (index) => {
+    const type = SKETCH_TYPES[editing.type]
+    if (editing.points.length <= type.minPoints) {
+      if (editing.type !== 'point') showToast(`✏️ ${type.label === 'Area' ? 'An area' : 'A line'} needs at least ${type.minPoints} points`)
+      return
+    }
+    updatePoints(points => points.filter((_, i) => i !== index))
+  }
+
+  const remove = () => {
+    setSketches(saveSketches(sketches.filter(sketch => sketch.id !== editing.id)))
+    showToast(`🗑️ ${editing.name} deleted`)
+    setEditingId(null)
+  }
+
+  const exportAll = () => {
+    downloadFile(toSketchesGeoJSON(sketches), 'application/geo+json', 'litemap-sketches', 'geojson')
+    showToast('💾 Sketches exported')
+  }
+
+  return {
+    sketches,
+    visible,
+    setVisible,
+    drawMode,
+    drawPoints,
+    editing,
+    startDrawing,
+    addDrawPoint,
+    undoDrawPoint,
+    finishDrawing,
+    open,
+    close,
+    select,
+    update,
+    moveVertex,
+    insertVertex,
+    removeVertex,
+    remove,
+    exportAll
+  }
+}
+
+export default useSketches
@@ -0,0 +1,156 @@
+/**
+ * Response Cache
+ *
+ * PURPOSE: Remember geocoding, routing, Overpass and isochrone answers in
+ * IndexedDB so repeat lookups are instant, work offline and spare the
+ * public servers
+ *
+ * Entries are keyed by endpoint + normalized request (keys sorted,
+ * coordinates rounded to ~1 m). An entry is served without a request
+ * until its endpoint's TTL runs out; after that it is only used when the
+ * network fails. Past the entry or size limit, the least recently used
+ * entries are evicted first.
+ */
+
+import { idbGet, idbPut, idbDelete, idbGetAll, idbClear } from '../utils/idb'
+
+const STORE = 'cache'
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+const PRUNE_DELAY = 2000 // ms after the last write before enforcing limits
+const READ_TIMEOUT = 1000 // ms to wait on a cache read before fetching anyway
+
+// Cached endpoints and how long their answers stay fresh
+export const CACHE_ENDPOINTS = {
+  search: { label: 'Place search', ttl: 7 * DAY },
+  reverse: { label: 'Pin names', ttl: 30 * DAY },
+  route: { label: 'Routes', ttl: DAY },
+  overpass: { label: 'Category places', ttl: DAY },
+  isochrone: { label: 'Reachable areas', ttl: DAY }
+}
+
+export const CACHE_LIMITS = { entries: 2000, bytes: 10 * 1024 * 1024 }
+
+// Request with keys sorted and numbers rounded to 5 decimals (~1 m)
+function normalize(value) {
+  if (typeof value === 'number') return Math.round(value * 1e5) / 1e5
+  if (Array.isArray(value)) return value.map(normalize)
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, normalize(value[key])])
+    )
+  }
+  return value
+}
+
+function getCacheKey(endpoint, request) {
+  return `${endpoint}:${JSON.stringify(normalize(request))}`
+}
+
+function isFresh(entry) {
+  const endpoint = CACHE_ENDPOINTS[entry.endpoint]
+  return Boolean(endpoint) && Date.now() - entry.storedAt < endpoint.ttl
+}
+
+// Cache trouble (private mode, quota, blocked upgrade) must never break or
+// stall a lookup
+async function readEntry(key) {
+  let timeout
+  try {
+    return await Promise.race([
+      idbGet(STORE, key),
+      new Promise(resolve => { timeout = setTimeout(() => resolve(null), READ_TIMEOUT) })
+    ])
+  } catch {
+    return null
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+function touch(entry) {
+  idbPut(STORE, entry.key, { ...entry, usedAt: Date.now() }).catch(() => {})
+}
+
+let pruneTimer = null
+
+// Evict least recently used entries until under both limits
+async function prune() {
+  const entries = await idbGetAll(STORE)
+  entries.sort((a, b) => b.usedAt - a.usedAt)
+
+  let bytes = 0
+  const evicted = entries.filter((entry, index) => {
+    bytes += entry.size
+    return index >= CACHE_LIMITS.entries || bytes > CACHE_LIMITS.bytes
+  })
+  await Promise.all(evicted.map(entry => idbDelete(STORE, entry.key)))
+}
+
+function writeEntry(key, endpoint, value) {
+  const now = Date.now()
+  const entry = { key, endpoint, value, size: JSON.stringify(value).length, storedAt: now, usedAt: now }
+  idbPut(STORE, key, entry).catch(() => {})
+
+  clearTimeout(pruneTimer)
+  pruneTimer = setTimeout(() => prune().catch(() => {}), PRUNE_DELAY)
+}
+
+/**
+ * Answer `request` from the cache, or run `fetcher` and cache what it
+ * returns (null/undefined results are not cached). When the fetch fails,
+ * an expired entry is better than nothing and is returned instead.
+ */
+export async function withCache(endpoint, request, fetcher) {
+  const key = getCacheKey(endpoint, request)
+  const entry = await readEntry(key)
+
+  if (entry && isFresh(entry)) {
+    touch(entry)
+    return entry.value
+  }
+
+  try {
+    const value = await fetcher()
+    if (value !== null && value !== undefined) writeEntry(key, endpoint, value)
+    return value
+  } catch (error) {
+    if (entry && error.name !== 'AbortError') {
+      touch(entry)
+      return entry.value
+    }
+    throw error
+  }
+}
+
+/**
+ * Per-endpoint totals for the settings page:
+ * { [endpoint]: { count, bytes, stale } }
+ */
+export async function getCacheStats() {
+  const stats = Object.fromEntries(
+    Object.keys(CACHE_ENDPOINTS).map(endpoint => [endpoint, { count: 0, bytes: 0, stale: 0 }])
+  )
+  const entries = await idbGetAll(STORE)
+  entries.forEach(entry => {
+    const total = stats[entry.endpoint]
+    if (!total) return
+    total.count += 1
+    total.bytes += entry.size
+    if (!isFresh(entry)) total.stale += 1
+  })
+  return stats
+}
+
+// Clear one endpoint's entries, or everything
+export async function clearCache(endpoint) {
+  if (!endpoint) return idbClear(STORE)
+
+  const entries = await idbGetAll(STORE)
+  await Promise.all(
+    entries.filter(entry => entry.endpoint === endpoint).map(entry => idbDelete(STORE, entry.key))
+  )
+}
@@ -0,0 +1,159 @@
+/**
+ * Categories Service
+ *
+ * PURPOSE: The category chips under the map - built-in defaults plus the
+ * user's own, kept in localStorage and shareable as a JSON file
+ *
+ * Chip model:
+ *   {
+ *     id,           // Stable id ("church", "custom-1718000000000")
+ *     label, icon,  // "Pharmacy", "💊"
+ *     color,        // Marker color, a MARKER_COLORS key
+ *     tags,         // OSM tag sets for Overpass (see ./overpass), or
+ *     text,         // free text for the geocoder when there are no tags
+ *     hidden        // Kept in the list but not shown as a chip
+ *   }
+ */
+
+const CATEGORIES_KEY = 'litemap.categories'
+const FILE_TYPE = 'litemap-categories'
+
+// Colors the marker icon set comes in, with a matching swatch color
+export const MARKER_COLORS = {
+  green: '#2aad27',
+  blue: '#2a81cb',
+  red: '#cb2b3e',
+  orange: '#cb8427',
+  gold: '#ffd326',
+  yellow: '#cac428',
+  violet: '#9c2bcb',
+  grey: '#7b7b7b',
+  black: '#3d3d3d'
+}
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'church', label: 'Church', icon: '⛪', color: 'green', tags: [{ amenity: 'place_of_worship', religion: 'christian' }] },
+  { id: 'restaurant', label: 'Food', icon: '🍔', color: 'green', tags: [{ amenity: 'restaurant' }, { amenity: 'fast_food' }, { amenity: 'food_court' }, { amenity: 'cafe' }] },
+  { id: 'hospital', label: 'Hospital', icon: '🏥', color: 'green', tags: [{ amenity: 'hospital' }, { healthcare: 'hospital' }] },
+  { id: 'fuel', label: 'Gas', icon: '⛽', color: 'green', tags: [{ amenity: 'fuel' }] },
+  { id: 'atm', label: 'ATM', icon: '🏧', color: 'green', tags: [{ amenity: 'atm' }, { amenity: 'bank', atm: 'yes' }] },
+  { id: 'pharmacy', label: 'Pharmacy', icon: '💊', color: 'green', tags: [{ amenity: 'pharmacy' }, { healthcare: 'pharmacy' }] }
+]
+
+export function createCategoryId() {
+  return `custom-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+/**
+ * Tag sets <-> editable text: one set per line, tags joined with "&",
+ * a bare key (or key=*) matching any value.
+ *   "amenity=place_of_worship & religion=christian"
+ */
+export function formatTagSets(tagSets = []) {
+  return tagSets
+    .map(tagSet => Object.entries(tagSet).map(([key, value]) => (value === '*' ? key : `${key}=${value}`)).join(' & '))
+    .join('\n')
+}
+
+export function parseTagSets(text) {
+  return text
+    .split('\n')
+    .map(line => Object.fromEntries(
+      line.split('&')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+          const [key, ...value] = part.split('=')
+          return [key.trim(), value.join('=').trim() || '*']
+        })
+        .filter(([key]) => key)
+    ))
+    .filter(tagSet => Object.keys(tagSet).length > 0)
+}
+
+// Clean one chip read from storage or a file; null when it can't be used
+function normalizeCategory(item) {
+  if (!item || typeof item.label !== 'string' || !item.label.trim()) return null
+
+  const tags = Array.isArray(item.tags)
+    ? item.tags
+        .filter(tagSet => tagSet && typeof tagSet === 'object')
+        .map(tagSet => Object.fromEntries(Object.entries(tagSet).map(([key, value]) => [key, String(value)])))
+        .filter(tagSet => Object.keys(tagSet).length > 0)
+    : []
+  const text = typeof item.text === 'string' ? item.text.trim() : ''
+  if (tags.length === 0 && !text) return null
+
+  return {
+    id: typeof item.id === 'string' && item.id ? item.id : createCategoryId(),
+    label: item.label.trim(),
+    icon: typeof item.icon === 'string' && item.icon.trim() ? item.icon.trim() : '📍',
+    color: Object.hasOwn(MARKER_COLORS, item.color) ? item.color : 'green',
+    ...(tags.length > 0 ? { tags } : { text }),
+    hidden: Boolean(item.hidden)
+  }
+}
+
+// Clean a list, dropping unusable chips and repeated ids
+function normalizeCategories(list) {
+  const seen = new Set()
+  return list
+    .map(normalizeCategory)
+    .filter(Boolean)
+    .map(category => {
+      const unique = seen.has(category.id) ? { ...category, id: createCategoryId() } : category
+      seen.add(unique.id)
+      return unique
+    })
+}
+
+export function loadCategories() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CATEGORIES_KEY))
+    return Array.isArray(saved) ? normalizeCategories(saved) : DEFAULT_CATEGORIES
+  } catch {
+    return DEFAULT_CATEGORIES
+  }
+}
+
+export function saveCategories(categories) {
+  try {
+    localStorage.setItem(CATEGORIES_KEY, JSON.stringify(categories))
+  } catch {
+    // Storage unavailable (private mode) - chips last for this session only
+  }
+  return categories
+}
+
+export function resetCategories() {
+  try {
+    localStorage.removeItem(CATEGORIES_KEY)
+  } catch {
+    // Nothing saved to clear
+  }
+  return DEFAULT_CATEGORIES
+}
+
+// The chip set as a shareable JSON file
+export function toCategoriesFile(categories) {
+  return JSON.stringify({ type: FILE_TYPE, version: 1, categories }, null, 2)
+}
+
+/**
+ * Read a shared chip set (a categories file, or a bare array of chips).
+ * Throws with a readable message when the file holds no usable chips.
+ */
+export function readCategoriesFile(content) {
+  let data
+  try {
+    data = JSON.parse(content)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  const list = Array.isArray(data) ? data : data?.categories
+  const categories = Array.isArray(list) ? normalizeCategories(list) : []
+  if (categories.length === 0) {
+    throw new Error('No categories found in file')
+  }
+  return categories
+}
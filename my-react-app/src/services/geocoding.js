@@ -0,0 +1,121 @@
+/**
+ * Geocoding Service
+ *
+ * PURPOSE: Place search and reverse geocoding through a pluggable provider
+ *
+ * Providers (Nominatim, Photon, Pelias, a local fixture) live in
+ * ./geocoding/ and normalize their answers into one place model (see
+ * ./geocoding/common). Every request goes through a per-provider queue
+ * that spaces requests to the provider's rate limit, and answers are kept
+ * in the response cache (see ./cache) so repeats skip the network. Which provider is
+ * used comes from the geocoding settings: VITE_GEOCODING_* env variables
+ * give the defaults, and the Settings panel can override them per browser.
+ */
+
+import nominatim from './geocoding/nominatim'
+import photon from './geocoding/photon'
+import pelias from './geocoding/pelias'
+import fixture from './geocoding/fixture'
+import { createRequestQueue } from './geocoding/common'
+import { withCache } from './cache'
+import { loadStored, saveStored, removeStored } from '../utils/storage'
+
+/**
+ * Geocoding providers. Each one is
+ *   { id, label, minInterval (ms between requests),
+ *     autocomplete (may be queried while the user types), defaults: { baseUrl, apiKey },
+ *     search(query, options, config, signal) -> [place],
+ *     reverse([lat, lon], config, signal) -> place | null }
+ */
+export const GEOCODING_PROVIDERS = [nominatim, photon, pelias, fixture]
+
+const GEOCODING_SETTINGS_KEY = 'litemap.geocoding'
+
+export function getGeocodingProvider(id) {
+  return GEOCODING_PROVIDERS.find(provider => provider.id === id) || GEOCODING_PROVIDERS[0]
+}
+
+// Whether suggestions may be fetched as the user types; otherwise only on submit
+export function canAutocomplete(settings = loadGeocodingSettings()) {
+  return getGeocodingProvider(settings.provider).autocomplete
+}
+
+/**
+ * Default settings for a provider: its built-in defaults, overridden by the
+ * VITE_GEOCODING_* env variables when they target the same provider.
+ * The contact email identifies the app to providers that ask for it.
+ */
+export function getDefaultGeocodingSettings(providerId) {
+  const env = import.meta.env
+  const envProvider = getGeocodingProvider(env.VITE_GEOCODING_PROVIDER).id
+  const provider = getGeocodingProvider(providerId || envProvider)
+  const fromEnv = provider.id === envProvider
+
+  return {
+    provider: provider.id,
+    baseUrl: (fromEnv && env.VITE_GEOCODING_BASE_URL) || provider.defaults.baseUrl,
+    apiKey: (fromEnv && env.VITE_GEOCODING_API_KEY) || provider.defaults.apiKey,
+    email: env.VITE_GEOCODING_EMAIL || ''
+  }
+}
+
+// Saved geocoding settings, falling back to the defaults for anything missing
+export function loadGeocodingSettings() {
+  const saved = loadStored(GEOCODING_SETTINGS_KEY)
+  if (!saved) return getDefaultGeocodingSettings()
+  const defaults = getDefaultGeocodingSettings(saved.provider)
+  return {
+    ...defaults,
+    baseUrl: saved.baseUrl || defaults.baseUrl,
+    apiKey: saved.apiKey ?? defaults.apiKey,
+    email: saved.email ?? defaults.email
+  }
+}
+
+export function saveGeocodingSettings(settings) {
+  saveStored(GEOCODING_SETTINGS_KEY, settings)
+}
+
+export function resetGeocodingSettings() {
+  removeStored(GEOCODING_SETTINGS_KEY)
+  return getDefaultGeocodingSettings()
+}
+
+// One queue per provider and server - the rate limit is per server
+const queues = new Map()
+
+function getQueue(provider, config) {
+  const key = `${provider.id}|${config.baseUrl}`
+  if (!queues.has(key)) {
+    queues.set(key, createRequestQueue(provider.minInterval))
+  }
+  return queues.get(key)
+}
+
+function getConfig(settings) {
+  return { ...settings, baseUrl: settings.baseUrl.replace(/\/+$/, '') }
+}
+
+/**
+ * Search places by text.
+ * Options: { limit, near: [lat, lon] (ranking bias), bounds: [south, west,
+ * north, east], bounded (only inside bounds), countryCodes: ['ph'...], signal }
+ * Returns places in the provider's ranking; throws on network/HTTP errors.
+ */
+export function searchPlaces(query, { limit = 10, near, bounds, bounded = false, countryCodes, signal } = {}, settings = loadGeocodingSettings()) {
+  const provider = getGeocodingProvider(settings.provider)
+  const config = getConfig(settings)
+  const request = { provider: provider.id, baseUrl: config.baseUrl, query: query.trim().toLowerCase(), limit, near, bounds, bounded, countryCodes }
+  return withCache('search', request, () => getQueue(provider, config)(
+    () => provider.search(query, { limit, near, bounds, bounded, countryCodes }, config, signal),
+    signal
+  ))
+}
+
+// The place at a [lat, lon] point, or null if there is nothing there
+export function reversePlace(position, { signal } = {}, settings = loadGeocodingSettings()) {
+  const provider = getGeocodingProvider(settings.provider)
+  const config = getConfig(settings)
+  const request = { provider: provider.id, baseUrl: config.baseUrl, position }
+  return withCache('reverse', request, () => getQueue(provider, config)(() => provider.reverse(position, config, signal), signal))
+}
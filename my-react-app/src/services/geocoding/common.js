@@ -0,0 +1,64 @@
+/**
+ * Geocoding Provider Helpers
+ *
+ * PURPOSE: Pieces every geocoding provider shares - the request queue that
+ * keeps each provider inside its rate limit, and the place model all
+ * responses are normalized into:
+ *
+ *   {
+ *     id,          // Provider-unique id (used to de-duplicate results)
+ *     name,        // Primary name ("Jollibee", "Carmona Church")
+ *     address,     // Rest of the address, comma separated, without the name
+ *     addressParts, // { street, barangay, city, province, postcode } - the ones
+ *                   // the provider knows (see utils/address)
+ *     lat, lon,    // Numbers
+ *     type,        // OSM-style value ("restaurant", "church"...)
+ *     category     // OSM-style key ("amenity", "building"...)
+ *   }
+ */
+
+/**
+ * Serialize requests and space them at least `minInterval` ms apart.
+ * Returns schedule(task, signal) -> promise of task()'s result. Tasks whose
+ * signal is aborted while waiting are dropped with an AbortError.
+ */
+export function createRequestQueue(minInterval) {
+  let lastStart = 0
+  let chain = Promise.resolve()
+
+  return function schedule(task, signal) {
+    const run = chain.then(async () => {
+      const wait = lastStart + minInterval - Date.now()
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait))
+      }
+      if (signal?.aborted) {
+        throw new DOMException('Geocoding request aborted', 'AbortError')
+      }
+      lastStart = Date.now()
+      return task()
+    })
+    // One failed request must not stall the ones queued behind it
+    chain = run.catch(() => {})
+    return run
+  }
+}
+
+// "Name, street, city, ..." -> { name, address }
+export function splitDisplayName(displayName = '') {
+  const [name, ...rest] = displayName.split(',').map(part => part.trim())
+  return { name, address: rest.join(', ') }
+}
+
+// Join the non-empty address parts
+export function joinAddress(parts) {
+  return parts.filter(Boolean).join(', ')
+}
+
+// Throw with the provider's name on HTTP errors (429 = over the rate limit)
+export async function readJson(response, providerLabel) {
+  if (!response.ok) {
+    throw new Error(`${providerLabel} request failed (${response.status})`)
+  }
+  return response.json()
+}
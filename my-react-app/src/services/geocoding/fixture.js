@@ -0,0 +1,82 @@
+/**
+ * Fixture Geocoding Provider
+ *
+ * PURPOSE: Answer searches from a local JSON file of places - for offline
+ * development and repeatable tests, with no network or rate limits
+ *
+ * The base URL points at a JSON array of places in the app's place model,
+ * plus an optional `countryCode`. The bundled sample covers Carmona, Cavite.
+ */
+
+import { getDistanceKm } from '../../utils/geo'
+import { readJson } from './common'
+
+const REVERSE_RADIUS_KM = 0.5
+
+// Loaded fixture files, by URL
+const fixtures = new Map()
+
+function loadFixture(url, signal) {
+  if (!fixtures.has(url)) {
+    const request = fetch(url, { signal }).then(response => readJson(response, 'Fixture'))
+    // Forget failed loads so the next search tries again
+    request.catch(() => fixtures.delete(url))
+    fixtures.set(url, request)
+  }
+  return fixtures.get(url)
+}
+
+// Fixture entries carry an extra countryCode; hand back just the place model
+function toPlace(place) {
+  const { id, name, address, addressParts = {}, lat, lon, type, category } = place
+  return { id, name, address, addressParts, lat, lon, type, category }
+}
+
+const fixture = {
+  id: 'fixture',
+  label: 'Local fixture',
+  minInterval: 0,
+  autocomplete: true,
+  defaults: {
+    baseUrl: '/geocoding-fixture.json',
+    apiKey: ''
+  },
+
+  async search(query, { limit, near, bounds, bounded, countryCodes }, config, signal) {
+    const places = await loadFixture(config.baseUrl, signal)
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+
+    return places
+      .filter(place => {
+        const text = [place.name, place.address, place.type, place.category].join(' ').toLowerCase()
+        return words.every(word => text.includes(word))
+      })
+      .filter(place => {
+        if (!bounds || !bounded) return true
+        const [south, west, north, east] = bounds
+        return place.lat >= south && place.lat <= north && place.lon >= west && place.lon <= east
+      })
+      .filter(place => !countryCodes?.length || countryCodes.includes(place.countryCode))
+      .sort((a, b) => near
+        ? getDistanceKm(near[0], near[1], a.lat, a.lon) - getDistanceKm(near[0], near[1], b.lat, b.lon)
+        : 0)
+      .slice(0, limit)
+      .map(toPlace)
+  },
+
+  async reverse([lat, lon], config, signal) {
+    const places = await loadFixture(config.baseUrl, signal)
+    let nearest = null
+    let nearestKm = REVERSE_RADIUS_KM
+    places.forEach(place => {
+      const km = getDistanceKm(lat, lon, place.lat, place.lon)
+      if (km <= nearestKm) {
+        nearest = place
+        nearestKm = km
+      }
+    })
+    return nearest && toPlace(nearest)
+  }
+}
+
+export default fixture
@@ -0,0 +1,87 @@
+/**
+ * Nominatim Geocoding Provider
+ *
+ * PURPOSE: Search and reverse geocoding against a Nominatim server
+ *
+ * The public server's usage policy asks for at most one request per second
+ * and for apps to identify themselves. Browsers don't let scripts set
+ * User-Agent (they send the page as Referer instead), so the contact email
+ * goes in the `email` parameter the policy provides for that.
+ */
+
+import { splitDisplayName, readJson } from './common'
+import { toAddressParts } from '../../utils/address'
+
+// addressdetails keys -> address fields. Philippine barangays come back as
+// quarter, village or suburb depending on how they are mapped; provinces as
+// state, and Metro Manila (no province) only as region.
+function getAddressParts(details = {}) {
+  return toAddressParts({
+    street: [details.house_number, details.road].filter(Boolean).join(' '),
+    barangay: details.quarter || details.village || details.suburb || details.neighbourhood || details.hamlet,
+    city: details.city || details.town || details.municipality,
+    province: details.province || details.state || details.region,
+    postcode: details.postcode
+  })
+}
+
+function normalizePlace(item) {
+  const { name, address } = splitDisplayName(item.display_name)
+  return {
+    id: `nominatim:${item.osm_type}:${item.osm_id}`,
+    name: item.name || name,
+    address,
+    addressParts: getAddressParts(item.address),
+    lat: parseFloat(item.lat),
+    lon: parseFloat(item.lon),
+    type: item.type,
+    category: item.category || item.class
+  }
+}
+
+function getBaseParams(config) {
+  const params = new URLSearchParams({ format: 'jsonv2', addressdetails: '1' })
+  if (config.email) params.set('email', config.email)
+  if (config.apiKey) params.set('key', config.apiKey)
+  return params
+}
+
+const nominatim = {
+  id: 'nominatim',
+  label: 'Nominatim',
+  minInterval: 1000, // Usage policy: max 1 request per second
+  autocomplete: false, // Usage policy forbids search-as-you-type
+  defaults: {
+    baseUrl: 'https://nominatim.openstreetmap.org',
+    apiKey: ''
+  },
+
+  async search(query, { limit, bounds, bounded, countryCodes }, config, signal) {
+    const params = getBaseParams(config)
+    params.set('q', query)
+    params.set('limit', limit)
+    if (bounds) {
+      const [south, west, north, east] = bounds
+      params.set('viewbox', `${west},${north},${east},${south}`)
+      if (bounded) params.set('bounded', '1')
+    }
+    if (countryCodes?.length) params.set('countrycodes', countryCodes.join(','))
+
+    const response = await fetch(`${config.baseUrl}/search?${params}`, { signal })
+    const data = await readJson(response, 'Nominatim')
+    return data.map(normalizePlace)
+  },
+
+  async reverse([lat, lon], config, signal) {
+    const params = getBaseParams(config)
+    params.set('lat', lat)
+    params.set('lon', lon)
+    params.set('zoom', '18')
+
+    const response = await fetch(`${config.baseUrl}/reverse?${params}`, { signal })
+    const data = await readJson(response, 'Nominatim')
+    return data.error ? null : normalizePlace(data)
+  }
+}
+
+export default nominatim
@@ -0,0 +1,87 @@
+/**
+ * Pelias Geocoding Provider
+ *
+ * PURPOSE: Search and reverse geocoding against a Pelias server
+ *
+ * Works with self-hosted Pelias and hosted APIs such as geocode.earth
+ * (which need an API key).
+ */
+
+import { readJson } from './common'
+import { toAddressParts } from '../../utils/address'
+
+function normalizePlace(feature) {
+  const props = feature.properties
+  const [lon, lat] = feature.geometry.coordinates
+  const label = props.label || props.name
+  return {
+    id: `pelias:${props.gid}`,
+    name: props.name,
+    // Labels read "Name, Locality, Region, Country"
+    address: label.startsWith(`${props.name}, `) ? label.slice(props.name.length + 2) : label,
+    // Who's On First files Philippine provinces as regions
+    addressParts: toAddressParts({
+      street: [props.housenumber, props.street].filter(Boolean).join(' '),
+      barangay: props.neighbourhood || props.borough,
+      city: props.locality || props.localadmin,
+      province: props.region,
+      postcode: props.postalcode
+    }),
+    lat,
+    lon,
+    type: props.category?.[0] || props.layer,
+    category: props.layer
+  }
+}
+
+function getBaseParams(config) {
+  const params = new URLSearchParams()
+  if (config.apiKey) params.set('api_key', config.apiKey)
+  return params
+}
+
+const pelias = {
+  id: 'pelias',
+  label: 'Pelias',
+  minInterval: 100, // Hosted plans allow around 10 requests per second
+  autocomplete: true,
+  defaults: {
+    baseUrl: 'https://api.geocode.earth',
+    apiKey: ''
+  },
+
+  async search(query, { limit, near, bounds, bounded, countryCodes }, config, signal) {
+    const params = getBaseParams(config)
+    params.set('text', query)
+    params.set('size', limit)
+    if (near) {
+      params.set('focus.point.lat', near[0])
+      params.set('focus.point.lon', near[1])
+    }
+    if (bounds && bounded) {
+      const [south, west, north, east] = bounds
+      params.set('boundary.rect.min_lat', south)
+      params.set('boundary.rect.min_lon', west)
+      params.set('boundary.rect.max_lat', north)
+      params.set('boundary.rect.max_lon', east)
+    }
+    if (countryCodes?.length) params.set('boundary.country', countryCodes.join(',').toUpperCase())
+
+    const response = await fetch(`${config.baseUrl}/v1/search?${params}`, { signal })
+    const data = await readJson(response, 'Pelias')
+    return data.features.map(normalizePlace)
+  },
+
+  async reverse([lat, lon], config, signal) {
+    const params = getBaseParams(config)
+    params.set('point.lat', lat)
+    params.set('point.lon', lon)
+    params.set('size', '1')
+
+    const response = await fetch(`${config.baseUrl}/v1/reverse?${params}`, { signal })
+    const data = await readJson(response, 'Pelias')
+    return data.features.length > 0 ? normalizePlace(data.features[0]) : null
+  }
+}
+
+export default pelias
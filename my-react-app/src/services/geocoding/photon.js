@@ -0,0 +1,79 @@
+/**
+ * Photon Geocoding Provider
+ *
+ * PURPOSE: Search and reverse geocoding against a Photon server
+ *
+ * Photon is built for search-as-you-type and returns GeoJSON features.
+ * It has no country filter, so country codes are applied to the results.
+ */
+
+import { joinAddress, readJson } from './common'
+import { toAddressParts } from '../../utils/address'
+
+function normalizePlace(feature) {
+  const props = feature.properties
+  const [lon, lat] = feature.geometry.coordinates
+  const street = [props.housenumber, props.street].filter(Boolean).join(' ')
+  const name = props.name || street || props.city || props.state || 'Unnamed place'
+  return {
+    id: `photon:${props.osm_type}:${props.osm_id}`,
+    name,
+    address: joinAddress([
+      street !== name && street,
+      props.district,
+      props.city !== name && props.city,
+      props.state,
+      props.country
+    ]),
+    addressParts: toAddressParts({
+      street,
+      barangay: props.district || props.locality,
+      city: props.city,
+      province: props.state,
+      postcode: props.postcode
+    }),
+    lat,
+    lon,
+    type: props.osm_value,
+    category: props.osm_key
+  }
+}
+
+const photon = {
+  id: 'photon',
+  label: 'Photon',
+  minInterval: 200, // Public instance is fair-use; stay well under it
+  autocomplete: true, // Built for search-as-you-type
+  defaults: {
+    baseUrl: 'https://photon.komoot.io',
+    apiKey: ''
+  },
+
+  async search(query, { limit, near, bounds, bounded, countryCodes }, config, signal) {
+    const params = new URLSearchParams({ q: query, limit, lang: 'en' })
+    if (near) {
+      params.set('lat', near[0])
+      params.set('lon', near[1])
+    }
+    if (bounds && bounded) {
+      const [south, west, north, east] = bounds
+      params.set('bbox', `${west},${south},${east},${north}`)
+    }
+
+    const response = await fetch(`${config.baseUrl}/api?${params}`, { signal })
+    const data = await readJson(response, 'Photon')
+    const codes = countryCodes?.map(code => code.toUpperCase())
+    return data.features
+      .filter(feature => !codes?.length || codes.includes(feature.properties.countrycode))
+      .map(normalizePlace)
+  },
+
+  async reverse([lat, lon], config, signal) {
+    const params = new URLSearchParams({ lat, lon, limit: 1, lang: 'en' })
+    const response = await fetch(`${config.baseUrl}/reverse?${params}`, { signal })
+    const data = await readJson(response, 'Photon')
+    return data.features.length > 0 ? normalizePlace(data.features[0]) : null
+  }
+}
+
+export default photon
@@ -0,0 +1,87 @@
+/**
+ * Isochrone Service
+ *
+ * PURPOSE: Fetch "reachable within N minutes" areas around a point
+ *
+ * Isochrones always come from Valhalla: the configured server (with its
+ * API key and costing profiles) when Valhalla is the routing provider,
+ * otherwise the public FOSSGIS instance, which computes isochrones over
+ * the same OSM road data.
+ */
+
+import { withCache } from './cache'
+import { loadRoutingSettings } from './routing'
+import { getBaseUrl } from './routing/common'
+
+const PUBLIC_VALHALLA_URL = 'https://valhalla1.openstreetmap.de'
+
+// Valhalla costing model for each travel mode id
+const COSTING = {
+  driving: 'auto',
+  walking: 'pedestrian',
+  cycling: 'bicycle'
+}
+
+// Time band presets (minutes) the user can choose from
+export const ISOCHRONE_PRESETS = [
+  [5, 10, 15],
+  [10, 20, 30],
+  [15, 30, 60]
+]
+
+// Band colors, nearest band first
+export const ISOCHRONE_COLORS = ['#34a853', '#fbbc05', '#ea4335']
+
+// GeoJSON [lon, lat] rings -> Leaflet [lat, lon] rings, always as a list of polygons
+function toPolygons(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates]
+  return polygons.map(rings => rings.map(ring => ring.map(([lon, lat]) => [lat, lon])))
+}
+
+// Server, key and costing model for a travel mode under the routing settings
+function getValhallaConfig(modeId, settings) {
+  if (settings.provider === 'valhalla') {
+    const costing = settings.profiles[modeId] || COSTING[modeId] || COSTING.driving
+    return { baseUrl: getBaseUrl(settings, costing), apiKey: settings.apiKey, costing }
+  }
+  return { baseUrl: PUBLIC_VALHALLA_URL, apiKey: '', costing: COSTING[modeId] || COSTING.driving }
+}
+
+async function requestIsochrones(center, minutes, { baseUrl, apiKey, costing }) {
+  const request = {
+    locations: [{ lat: center[0], lon: center[1] }],
+    costing,
+    contours: minutes.map(time => ({ time })),
+    polygons: true,
+    denoise: 0.5,
+    generalize: 50 // meters - keeps the polygons light
+  }
+
+  const key = apiKey ? `&api_key=${encodeURIComponent(apiKey)}` : ''
+  const response = await fetch(
+    `${baseUrl}/isochrone?json=${encodeURIComponent(JSON.stringify(request))}${key}`
+  )
+  if (!response.ok) {
+    throw new Error(`Isochrone request failed (${response.status})`)
+  }
+  const data = await response.json()
+
+  return data.features
+    .filter(feature => feature.geometry && feature.geometry.type.endsWith('Polygon'))
+    .map(feature => ({
+      minutes: feature.properties.contour,
+      polygons: toPolygons(feature.geometry)
+    }))
+    .sort((a, b) => a.minutes - b.minutes)
+}
+
+/**
+ * Fetch isochrone bands around a [lat, lon] point (cached, see ./cache).
+ * Returns [{ minutes, polygons }] sorted from the smallest band up;
+ * throws when the service fails.
+ */
+export function fetchIsochrones(center, modeId, minutes = ISOCHRONE_PRESETS[0], settings = loadRoutingSettings()) {
+  const config = getValhallaConfig(modeId, settings)
+  const request = { baseUrl: config.baseUrl, costing: config.costing, center, minutes }
+  return withCache('isochrone', request, () => requestIsochrones(center, minutes, config))
+}
@@ -0,0 +1,111 @@
+/**
+ * Imported Layers
+ *
+ * PURPOSE: The user's own data files drawn as overlays on the map, kept
+ * in IndexedDB so they are still there after a reload
+ *
+ * Layer model:
+ *   {
+ *     id, name,          // Name from the file (or the shapefile inside the zip)
+ *     fileName,          // File it came from
+ *     color,             // Stroke/fill color, a LAYER_COLORS entry
+ *     visible,
+ *     data,              // GeoJSON FeatureCollection (see ../utils/layerFormats)
+ *     featureCount,
+ *     bounds,            // [south, west, north, east]
+ *     createdAt          // ms timestamp
+ *   }
+ */
+
+import { idbPut, idbDelete, idbGetAll } from '../utils/idb'
+import { readLayerFile } from '../utils/layerFormats'
+
+const STORE = 'layers'
+
+// Picked in turn so layers stacked on each other stay apart
+export const LAYER_COLORS = ['#e8710a', '#9334e6', '#188038', '#d93025', '#1a73e8', '#b06000', '#c5221f', '#007b83']
+
+// Every [lon, lat] pair in a geometry
+function* iterateCoordinates(geometry) {
+  if (!geometry) return
+  if (geometry.type === 'GeometryCollection') {
+    for (const child of geometry.geometries) yield* iterateCoordinates(child)
+    return
+  }
+  const walk = function* (coordinates) {
+    if (typeof coordinates[0] === 'number') yield coordinates
+    else for (const child of coordinates) yield* walk(child)
+  }
+  yield* walk(geometry.coordinates)
+}
+
+function getBounds(features) {
+  let [south, west, north, east] = [90, 180, -90, -180]
+  features.forEach(feature => {
+    for (const [lon, lat] of iterateCoordinates(feature.geometry)) {
+      south = Math.min(south, lat)
+      north = Math.max(north, lat)
+      west = Math.min(west, lon)
+      east = Math.max(east, lon)
+    }
+  })
+  return south <= north ? [south, west, north, east] : null
+}
+
+// Saved layers, oldest first so later imports draw on top
+export async function loadLayers() {
+  try {
+    const layers = await idbGetAll(STORE)
+    return layers.sort((a, b) => a.createdAt - b.createdAt)
+  } catch {
+    return []
+  }
+}
+
+export async function saveLayer(layer) {
+  try {
+    await idbPut(STORE, layer.id, layer)
+  } catch (error) {
+    // Still shown this session; it just won't survive a reload
+    console.error('Saving layer failed:', error)
+  }
+  return layer
+}
+
+export async function removeLayer(layer) {
+  try {
+    await idbDelete(STORE, layer.id)
+  } catch {
+    // Nothing saved to remove
+  }
+}
+
+/**
+ * Read a dropped or picked file into new layers (a zip may hold several
+ * shapefiles) and save them. `colorIndex` is where to continue the color
+ * cycle. Throws with a readable message when nothing can be drawn.
+ */
+export async function importLayerFile(file, colorIndex = 0) {
+  const parsed = await readLayerFile(file)
+  const now = Date.now()
+
+  const layers = parsed
+    .map(({ name, data }) => ({ name, data, bounds: getBounds(data.features) }))
+    .filter(layer => layer.bounds)
+    .map((layer, i) => ({
+      id: `layer-${now}-${Math.random().toString(36).slice(2, 6)}`,
+      name: layer.name,
+      fileName: file.name,
+      color: LAYER_COLORS[(colorIndex + i) % LAYER_COLORS.length],
+      visible: true,
+      data: layer.data,
+      featureCount: layer.data.features.length,
+      bounds: layer.bounds,
+      createdAt: now + i
+    }))
+
+  if (layers.length === 0) {
+    throw new Error(`No features found in ${file.name}`)
+  }
+  return Promise.all(layers.map(saveLayer))
+}
@@ -0,0 +1,324 @@
+/**
+ * Offline Routing Service
+ *
+ * PURPOSE: Route over a road extract loaded into the browser, for areas
+ * with no signal (or when the routing server is down)
+ *
+ * The extract's roads become a graph (shared vertices = junctions) and
+ * routes are found with A*. ETAs come from rough per-class speeds, so they
+ * are estimates - but the path follows real roads instead of a straight line.
+ * Results use the same route model as the online providers.
+ */
+
+import { getDistanceKm, getBearing } from '../utils/geo'
+import { readRoadFile } from '../utils/osm'
+import { idbGet, idbPut, idbDelete } from '../utils/idb'
+import { ARRIVE_ICON, bearingToCompass, getStepIcon } from './routing/common'
+
+const EXTRACT_KEY = 'roadExtract'
+const MAX_SNAP_KM = 2 // Waypoints farther than this from any road are outside the extract
+
+// Typical driving speeds (km/h) by highway class, used when maxspeed is missing
+const DRIVING_SPEEDS = {
+  motorway: 90, motorway_link: 50,
+  trunk: 70, trunk_link: 40,
+  primary: 50, primary_link: 35,
+  secondary: 40, secondary_link: 30,
+  tertiary: 35, tertiary_link: 25,
+  unclassified: 30, residential: 25, road: 25,
+  living_street: 10, service: 15, track: 15
+}
+
+const WALKING_SPEED = 5
+const CYCLING_SPEED = 15
+
+// Roads each mode may not use
+const NO_WALKING = new Set(['motorway', 'motorway_link'])
+const NO_CYCLING = new Set(['motorway', 'motorway_link', 'steps'])
+
+// Speed (km/h) for a road in a travel mode, or 0 when the mode can't use it
+function getSpeed(road, modeId) {
+  if (modeId === 'walking') return NO_WALKING.has(road.highway) ? 0 : WALKING_SPEED
+  if (modeId === 'cycling') return NO_CYCLING.has(road.highway) ? 0 : CYCLING_SPEED
+  if (!DRIVING_SPEEDS[road.highway]) return 0
+  const maxspeed = parseFloat(road.maxspeed)
+  if (!maxspeed) return DRIVING_SPEEDS[road.highway]
+  return road.maxspeed.includes('mph') ? maxspeed * 1.609 : maxspeed
+}
+
+const MAX_SPEEDS = { driving: 130, walking: WALKING_SPEED, cycling: CYCLING_SPEED }
+
+/**
+ * Build the routing graph from a road list (see utils/osm).
+ * Nodes are road vertices, merged where roads share a coordinate.
+ * Edges are { to, km, road, against } - against marks travel opposite to
+ * a oneway road's direction.
+ */
+export function buildRoadGraph(roads, name = 'Road extract') {
+  const index = new Map()
+  const points = []
+  const edges = []
+
+  const getNode = ([lat, lon]) => {
+    const key = `${lat.toFixed(7)},${lon.toFixed(7)}`
+    let node = index.get(key)
+    if (node === undefined) {
+      node = points.length
+      index.set(key, node)
+      points.push([lat, lon])
+      edges.push([])
+    }
+    return node
+  }
+
+  roads.forEach((road, roadIndex) => {
+    for (let i = 1; i < road.coordinates.length; i++) {
+      const a = getNode(road.coordinates[i - 1])
+      const b = getNode(road.coordinates[i])
+      if (a === b) continue
+      const km = getDistanceKm(points[a][0], points[a][1], points[b][0], points[b][1])
+      edges[a].push({ to: b, km, road: roadIndex, against: road.oneway === -1 })
+      edges[b].push({ to: a, km, road: roadIndex, against: road.oneway === 1 })
+    }
+  })
+
+  return { name, roads, points, edges }
+}
+
+// Summary shown in settings
+export function describeRoadGraph(graph) {
+  return {
+    name: graph.name,
+    roadCount: graph.roads.length,
+    nodeCount: graph.points.length
+  }
+}
+
+// Travel time (hours) along an edge, or Infinity if the mode can't take it
+function getEdgeHours(graph, edge, modeId) {
+  // Only cars are held to oneway - walkers and (loosely) bikes go both ways
+  if (edge.against && modeId === 'driving') return Infinity
+  const speed = getSpeed(graph.roads[edge.road], modeId)
+  return speed ? edge.km / speed : Infinity
+}
+
+// Closest graph node the mode can leave from
+function snapToGraph(graph, [lat, lon], modeId) {
+  let best = -1
+  let bestKm = Infinity
+  const cosLat = Math.cos(lat * Math.PI / 180)
+
+  graph.points.forEach(([nodeLat, nodeLon], node) => {
+    // Cheap flat distance first; exact distance only for the winner
+    const dLat = nodeLat - lat
+    const dLon = (nodeLon - lon) * cosLat
+    const approxKm = Math.sqrt(dLat * dLat + dLon * dLon) * 111.32
+    if (approxKm < bestKm && graph.edges[node].some(edge => getSpeed(graph.roads[edge.road], modeId))) {
+      best = node
+      bestKm = approxKm
+    }
+  })
+
+  return best !== -1 && bestKm <= MAX_SNAP_KM ? best : -1
+}
+
+// Binary min-heap of [priority, ...] entries
+function createHeap() {
+  const items = []
+  return {
+    get size() { return items.length },
+    push(item) {
+      items.push(item)
+      let i = items.length - 1
+      while (i > 0) {
+        const parent = (i - 1) >> 1
+        if (items[parent][0] <= items[i][0]) break
+        ;[items[parent], items[i]] = [items[i], items[parent]]
+        i = parent
+      }
+    },
+    pop() {
+      const top = items[0]
+      const last = items.pop()
+      if (items.length > 0) {
+        items[0] = last
+        let i = 0
+        for (;;) {
+          const left = i * 2 + 1
+          const right = left + 1
+          let smallest = i
+          if (left < items.length && items[left][0] < items[smallest][0]) smallest = left
+          if (right < items.length && items[right][0] < items[smallest][0]) smallest = right
+          if (smallest === i) break
+          ;[items[smallest], items[i]] = [items[i], items[smallest]]
+          i = smallest
+        }
+      }
+      return top
+    }
+  }
+}
+
+// A* from start to goal; returns the edges taken, or null if unreachable
+function findPath(graph, start, goal, modeId) {
+  const maxSpeed = MAX_SPEEDS[modeId] || MAX_SPEEDS.driving
+  const [goalLat, goalLon] = graph.points[goal]
+  const heuristic = (node) => getDistanceKm(graph.points[node][0], graph.points[node][1], goalLat, goalLon) / maxSpeed
+
+  const hours = new Float64Array(graph.points.length).fill(Infinity)
+  const cameBy = new Array(graph.points.length)
+  const heap = createHeap()
+  hours[start] = 0
+  heap.push([heuristic(start), start, 0])
+
+  while (heap.size > 0) {
+    const [, node, reachedIn] = heap.pop()
+    if (node === goal) break
+    // Stale heap entry - a shorter way here was already found
+    if (reachedIn > hours[node]) continue
+
+    graph.edges[node].forEach(edge => {
+      const next = hours[node] + getEdgeHours(graph, edge, modeId)
+      if (next < hours[edge.to]) {
+        hours[edge.to] = next
+        cameBy[edge.to] = { from: node, edge }
+        heap.push([next + heuristic(edge.to), edge.to, next])
+      }
+    })
+  }
+
+  if (hours[goal] === Infinity) return null
+
+  const path = []
+  for (let node = goal; node !== start; node = cameBy[node].from) {
+    path.unshift({ from: cameBy[node].from, ...cameBy[node].edge })
+  }
+  return path
+}
+
+// Turn direction between two bearings, as a route step modifier
+function getTurnModifier(fromBearing, toBearing) {
+  const angle = ((toBearing - fromBearing + 540) % 360) - 180
+  const side = angle > 0 ? 'right' : 'left'
+  const size = Math.abs(angle)
+  if (size < 20) return 'straight'
+  if (size < 60) return `slight ${side}`
+  if (size < 120) return side
+  if (size < 165) return `sharp ${side}`
+  return 'uturn'
+}
+
+// Group a path into steps - a new step wherever the road name changes
+function buildSteps(graph, path, target) {
+  const steps = []
+  let previous = null
+
+  path.forEach(edge => {
+    const road = graph.roads[edge.road]
+    const from = graph.points[edge.from]
+    const to = graph.points[edge.to]
+    const bearing = getBearing(from, to)
+    const key = road.name || road.highway
+
+    if (!previous || previous.key !== key) {
+      const onto = road.name ? ` onto ${road.name}` : ''
+      let instruction
+      let modifier = 'straight'
+      if (!previous) {
+        instruction = `Head ${bearingToCompass(bearing)}${road.name ? ` on ${road.name}` : ''}`
+      } else {
+        modifier = getTurnModifier(previous.bearing, bearing)
+        instruction = modifier === 'straight' ? `Continue${onto}`
+          : modifier === 'uturn' ? `Make a U-turn${onto}`
+          : `Turn ${modifier}${onto}`
+      }
+      steps.push({ instruction, icon: getStepIcon(modifier), distance: 0, location: from, coordinates: [from] })
+    }
+
+    const step = steps[steps.length - 1]
+    step.distance += edge.km
+    step.coordinates.push(to)
+    previous = { key, bearing }
+  })
+
+  const end = path.length > 0 ? graph.points[path[path.length - 1].to] : null
+  if (end) {
+    steps.push({ instruction: `Arrive at ${target}`, icon: ARRIVE_ICON, distance: 0, location: end, coordinates: [end] })
+  }
+  return steps
+}
+
+/**
+ * Route through [lat, lon] points over the loaded graph.
+ * Returns { routes: [route], order: null } like fetchRoute, or null when a
+ * point is outside the extract or no road connects the points.
+ */
+export function routeOffline(graph, points, modeId) {
+  const nodes = points.map(point => snapToGraph(graph, point, modeId))
+  if (nodes.includes(-1)) return null
+
+  const coordinates = []
+  const legs = []
+  const steps = []
+
+  for (let i = 1; i < nodes.length; i++) {
+    const path = findPath(graph, nodes[i - 1], nodes[i], modeId)
+    if (!path) return null
+
+    const isLastLeg = i === nodes.length - 1
+    const hours = path.reduce((total, edge) => total + getEdgeHours(graph, edge, modeId), 0)
+    legs.push({
+      distance: path.reduce((total, edge) => total + edge.km, 0),
+      duration: Math.round(hours * 60)
+    })
+    steps.push(...buildSteps(graph, path, isLastLeg ? 'your destination' : `stop ${i}`))
+
+    const line = [graph.points[nodes[i - 1]], ...path.map(edge => graph.points[edge.to])]
+    coordinates.push(...(coordinates.length > 0 ? line.slice(1) : line))
+  }
+
+  return {
+    routes: [{
+      coordinates,
+      distance: legs.reduce((total, leg) => total + leg.distance, 0),
+      duration: legs.reduce((total, leg) => total + leg.duration, 0),
+      legs,
+      steps
+    }],
+    order: null
+  }
+}
+
+// Read a road file, build its graph and keep the roads for next time
+export async function importRoadExtract(file) {
+  const roads = await readRoadFile(file)
+  if (roads.length === 0) {
+    throw new Error('No roads found in this file')
+  }
+  const graph = buildRoadGraph(roads, file.name)
+  try {
+    await idbPut('offline', EXTRACT_KEY, { name: file.name, roads })
+  } catch (error) {
+    // Still usable this session; it just won't survive a reload
+    console.error('Saving road extract failed:', error)
+  }
+  return graph
+}
+
+// Graph for the extract saved by a previous session, or null
+export async function loadSavedRoadExtract() {
+  try {
+    const saved = await idbGet('offline', EXTRACT_KEY)
+    return saved ? buildRoadGraph(saved.roads, saved.name) : null
+  } catch {
+    return null
+  }
+}
+
+export async function removeRoadExtract() {
+  try {
+    await idbDelete('offline', EXTRACT_KEY)
+  } catch {
+    // Nothing saved to remove
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Offline Map Tiles
+ *
+ * PURPOSE: Download the base map tiles for a rectangle and zoom range into
+ * IndexedDB, so the map still draws where there is no signal
+ *
+ * Region model:
+ *   {
+ *     id, name,
+ *     sourceId, sourceLabel,      // Tile source the tiles came from (see ./tileSources)
+ *     bounds,                     // [south, west, north, east]
+ *     minZoom, maxZoom,
+ *     tileCount, bytes, failed,   // What the last download stored / missed
+ *     createdAt, updatedAt        // ms timestamps
+ *   }
+ *
+ * Tiles are stored once per source/z/x/y, so overlapping regions share
+ * them; deleting a region keeps the tiles another region still covers.
+ * Only sources marked allowOffline can be downloaded (the OSM tile policy
+ * forbids bulk downloads), and even those limit them, hence
+ * MAX_REGION_TILES and two requests at a time - point a self-hosted
+ * source at bigger areas.
+ */
+
+import { idbGet, idbPut, idbDelete, idbGetAll } from '../utils/idb'
+
+const TILE_STORE = 'tiles'
+const REGION_STORE = 'tileRegions'
+const DOWNLOAD_WORKERS = 2
+const AVERAGE_TILE_BYTES = 20 * 1024 // Street-map PNGs run 10-30 KB
+
+export const MAX_REGION_TILES = 5000
+export const OFFLINE_ZOOM = { min: 10, max: 19 }
+
+// Tile x/y range covering the bounds at zoom z (Web Mercator)
+function getTileRange([south, west, north, east], z) {
+  const n = 2 ** z
+  const toX = lon => Math.min(n - 1, Math.max(0, Math.floor((lon + 180) / 360 * n)))
+  const toY = lat => {
+    const rad = Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI / 180
+    return Math.min(n - 1, Math.max(0, Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n)))
+  }
+  return { minX: toX(west), maxX: toX(east), minY: toY(north), maxY: toY(south) }
+}
+
+function* iterateTiles(bounds, minZoom, maxZoom) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = getTileRange(bounds, z)
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) yield { z, x, y }
+    }
+  }
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let count = 0
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const { minX, maxX, minY, maxY } = getTileRange(bounds, z)
+    count += (maxX - minX + 1) * (maxY - minY + 1)
+  }
+  return count
+}
+
+// Rough storage a download will take, before we know real tile sizes
+export function estimateTileBytes(count) {
+  return count * AVERAGE_TILE_BYTES
+}
+
+function getTileKey(sourceId, { z, x, y }) {
+  return `${sourceId}/${z}/${x}/${y}`
+}
+
+// Fill a Leaflet URL template the way L.TileLayer does
+function getTileUrl(source, { z, x, y }) {
+  const subdomains = source.subdomains || ''
+  const data = { z, x, y, r: '', s: subdomains[Math.abs(x + y) % subdomains.length] || '', apiKey: source.apiKey }
+  return source.url.replace(/\{ *([\w_-]+) *\}/g, (match, key) => data[key] ?? match)
+}
+
+/**
+ * Stored tile for a source, or null. Used by the map's tile layer before
+ * it asks the network.
+ */
+export async function getCachedTile(sourceId, coords) {
+  try {
+    return (await idbGet(TILE_STORE, getTileKey(sourceId, coords))) || null
+  } catch {
+    return null
+  }
+}
+
+// Downloaded regions, newest first
+export async function loadRegions() {
+  try {
+    const regions = await idbGetAll(REGION_STORE)
+    return regions.sort((a, b) => b.createdAt - a.createdAt)
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Download (or re-download, for a refresh) every tile of a region from
+ * `source` and save the region. onProgress({ done, total, failed }) runs
+ * after each tile. Aborting `signal` stops the download and rejects with
+ * an AbortError; tiles stored so far are kept. Resolves with the saved region.
+ */
+export async function downloadRegion(region, source, { onProgress, signal } = {}) {
+  if (!source.allowOffline) {
+    throw new Error(`${source.label} tiles can't be saved for offline use`)
+  }
+  const total = countTiles(region.bounds, region.minZoom, region.maxZoom)
+  if (total > MAX_REGION_TILES) {
+    throw new Error(`Region needs ${total} tiles - the limit is ${MAX_REGION_TILES}`)
+  }
+
+  // Ask the browser not to evict the tiles when storage runs low
+  navigator.storage?.persist?.().catch(() => {})
+
+  const tiles = iterateTiles(region.bounds, region.minZoom, region.maxZoom)
+  let done = 0
+  let failed = 0
+  let bytes = 0
+
+  const worker = async () => {
+    for (const coords of tiles) {
+      if (signal?.aborted) return
+      try {
+        const response = await fetch(getTileUrl(source, coords), { signal })
+        if (!response.ok) throw new Error(`Tile request failed (${response.status})`)
+        const blob = await response.blob()
+        await idbPut(TILE_STORE, getTileKey(source.id, coords), blob)
+        bytes += blob.size
+      } catch (error) {
+        if (error.name === 'AbortError') return
+        failed += 1
+      }
+      done += 1
+      onProgress?.({ done, total, failed })
+    }
+  }
+  // Workers share one generator, so each tile is fetched once
+  await Promise.all(Array.from({ length: DOWNLOAD_WORKERS }, worker))
+  if (signal?.aborted) {
+    throw new DOMException('Region download aborted', 'AbortError')
+  }
+
+  const now = Date.now()
+  const saved = {
+    ...region,
+    sourceId: source.id,
+    sourceLabel: source.label,
+    tileCount: total - failed,
+    bytes,
+    failed,
+    createdAt: region.createdAt || now,
+    updatedAt: now
+  }
+  await idbPut(REGION_STORE, saved.id, saved)
+  return saved
+}
+
+function covers(region, sourceId, { z, x, y }) {
+  if (region.sourceId !== sourceId || z < region.minZoom || z > region.maxZoom) return false
+  const { minX, maxX, minY, maxY } = getTileRange(region.bounds, z)
+  return x >= minX && x <= maxX && y >= minY && y <= maxY
+}
+
+/**
+ * Delete a region and the tiles no other region in `regions` covers.
+ * Resolves with the remaining regions.
+ */
+export async function deleteRegion(region, regions) {
+  const others = regions.filter(other => other.id !== region.id)
+  const orphaned = [...iterateTiles(region.bounds, region.minZoom, region.maxZoom)]
+    .filter(coords => !others.some(other => covers(other, region.sourceId, coords)))
+
+  await Promise.all(orphaned.map(coords => idbDelete(TILE_STORE, getTileKey(region.sourceId, coords))))
+  await idbDelete(REGION_STORE, region.id)
+  return others
+}
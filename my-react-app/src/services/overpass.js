@@ -0,0 +1,143 @@
+/**
+ * Overpass Service
+ *
+ * PURPOSE: Find places by their OSM tags (amenity=pharmacy...) instead of
+ * by words in their names
+ *
+ * Category chips describe what they match as a list of tag sets:
+ *   [{ amenity: 'place_of_worship', religion: 'christian' }, { ... }]
+ * A place matches when it has every tag of any one set. Results come back
+ * in the geocoding place model (see ./geocoding/common) plus a `details`
+ * object with the card-worthy tags (opening hours, phone, website).
+ * The endpoint comes from VITE_OVERPASS_URL and can be a local instance;
+ * the Settings panel can override it per browser.
+ */
+
+import { createRequestQueue, joinAddress, readJson } from './geocoding/common'
+import { withCache } from './cache'
+import { getDistanceKm } from '../utils/geo'
+import { toAddressParts } from '../utils/address'
+import { loadStored, saveStored, removeStored } from '../utils/storage'
+
+const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter'
+const OVERPASS_SETTINGS_KEY = 'litemap.overpass'
+const QUERY_TIMEOUT = 25 // seconds the server may spend on a query
+
+// Named places worth listing around a dropped pin
+const NEARBY_TAGS = ['amenity', 'shop', 'tourism', 'leisure', 'office', 'healthcare']
+  .map(key => ({ [key]: '*', name: '*' }))
+
+// Public servers allow a couple of queries at a time per client
+const schedule = createRequestQueue(1000)
+
+export function getDefaultOverpassSettings() {
+  return { baseUrl: import.meta.env.VITE_OVERPASS_URL || DEFAULT_OVERPASS_URL }
+}
+
+// Saved Overpass settings, falling back to the defaults for anything missing
+export function loadOverpassSettings() {
+  const saved = loadStored(OVERPASS_SETTINGS_KEY)
+  return { baseUrl: saved?.baseUrl || getDefaultOverpassSettings().baseUrl }
+}
+
+export function saveOverpassSettings(settings) {
+  saveStored(OVERPASS_SETTINGS_KEY, settings)
+}
+
+export function resetOverpassSettings() {
+  removeStored(OVERPASS_SETTINGS_KEY)
+  return getDefaultOverpassSettings()
+}
+
+// Overpass QL string literal
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+}
+
+// { amenity: 'atm' } -> ["amenity"="atm"]; '*' matches any value
+function toFilters(tagSet) {
+  return Object.entries(tagSet)
+    .map(([key, value]) => (value === '*' ? `[${quote(key)}]` : `[${quote(key)}=${quote(value)}]`))
+    .join('')
+}
+
+function buildQuery(tagSets, area, limit) {
+  const statements = tagSets.map(tagSet => `  nwr${toFilters(tagSet)}${area};`)
+  return [
+    `[out:json][timeout:${QUERY_TIMEOUT}];`,
+    '(',
+    ...statements,
+    ');',
+    // Ways and relations get a center point
+    `out center ${limit};`
+  ].join('\n')
+}
+
+// The tag set a place matched - its first tag gives the type/category
+function findMatch(tags, tagSets) {
+  const set = tagSets.find(tagSet =>
+    Object.entries(tagSet).every(([key, value]) => tags[key] !== undefined && (value === '*' || tags[key] === value))
+  ) || {}
+  const [category, type] = Object.entries(set)[0] || []
+  return { category, type: type === '*' ? tags[category] : type }
+}
+
+function normalizeElement(element, tagSets, fallbackName) {
+  const tags = element.tags || {}
+  const { category, type } = findMatch(tags, tagSets)
+  const addressParts = toAddressParts({
+    street: [tags['addr:housenumber'], tags['addr:street']].filter(Boolean).join(' '),
+    barangay: tags['addr:barangay'] || tags['addr:suburb'] || tags['addr:village'] || tags['addr:quarter'],
+    city: tags['addr:city'] || tags['addr:municipality'] || tags['addr:town'],
+    province: tags['addr:province'] || tags['addr:state'],
+    postcode: tags['addr:postcode']
+  })
+  return {
+    id: `osm:${element.type}:${element.id}`,
+    name: tags.name || tags.brand || tags.operator || fallbackName,
+    address: joinAddress([addressParts.street, addressParts.barangay, addressParts.city, addressParts.province]),
+    addressParts,
+    lat: element.lat ?? element.center?.lat,
+    lon: element.lon ?? element.center?.lon,
+    type,
+    category,
+    details: {
+      openingHours: tags.opening_hours,
+      phone: tags.phone || tags['contact:phone'],
+      website: tags.website || tags['contact:website']
+    }
+  }
+}
+
+/**
+ * Places matching any of `tagSets` in an area: a circle
+ * ({ near: [lat, lon], radiusKm }) or a box ({ bounds: [south, west, north, east] }).
+ * `name` labels places that have no name tag. Throws on network/HTTP errors.
+ */
+export function searchByTags(tagSets, { near, radiusKm, bounds, limit = 100, name = 'Unnamed place', signal } = {}, settings = loadOverpassSettings()) {
+  const area = bounds
+    ? `(${bounds.join(',')})`
+    : `(around:${Math.round(radiusKm * 1000)},${near[0]},${near[1]})`
+  const query = buildQuery(tagSets, area, limit)
+
+  return withCache('overpass', { baseUrl: settings.baseUrl, query, name }, () => schedule(async () => {
+    const response = await fetch(settings.baseUrl, { method: 'POST', body: new URLSearchParams({ data: query }), signal })
+    const data = await readJson(response, 'Overpass')
+    return data.elements
+      .map(element => normalizeElement(element, tagSets, name))
+      .filter(place => place.lat !== undefined)
+  }, signal))
+}
+
+/**
+ * Named places (shops, amenities, offices...) within `radiusKm` of a
+ * point, nearest first, each with its `distance` in km.
+ */
+export async function findNearbyPlaces([lat, lon], { radiusKm = 0.2, limit = 8, signal } = {}, settings = loadOverpassSettings()) {
+  // Overpass returns the first N by id, not by distance - ask for more and sort
+  const places = await searchByTags(NEARBY_TAGS, { near: [lat, lon], radiusKm, limit: limit * 5, signal }, settings)
+  return places
+    .map(place => ({ ...place, distance: getDistanceKm(lat, lon, place.lat, place.lon) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+}
@@ -0,0 +1,153 @@
+/**
+ * Routing Service
+ *
+ * PURPOSE: Fetch road routes for each travel mode from a pluggable provider
+ *
+ * Providers (OSRM, Valhalla, GraphHopper) live in ./routing/ and all
+ * normalize their answers into the same route model (see ./routing/common).
+ * Which provider is used, and where it lives, comes from the routing
+ * settings: VITE_ROUTING_* env variables give the defaults, and the
+ * Settings panel can override them per browser.
+ */
+
+import osrm from './routing/osrm'
+import valhalla from './routing/valhalla'
+import graphhopper from './routing/graphhopper'
+import { withCache } from './cache'
+import { loadStored, saveStored, removeStored } from '../utils/storage'
+
+// Travel modes - each one maps to a provider profile and a line style
+export const TRAVEL_MODES = [
+  {
+    id: 'driving',
+    label: 'Drive',
+    icon: '🚗',
+    style: { color: '#4285f4', weight: 5, opacity: 0.7 }
+  },
+  {
+    id: 'walking',
+    label: 'Walk',
+    icon: '🚶',
+    style: { color: '#34a853', weight: 6, opacity: 0.8, dashArray: '1 10', lineCap: 'round' }
+  },
+  {
+    id: 'cycling',
+    label: 'Bike',
+    icon: '🚲',
+    style: { color: '#fbbc05', weight: 5, opacity: 0.9, dashArray: '10 8' }
+  }
+]
+
+export const DEFAULT_TRAVEL_MODE = 'driving'
+
+const TRAVEL_MODE_KEY = 'litemap.travelMode'
+
+export function getTravelMode(id) {
+  return TRAVEL_MODES.find(mode => mode.id === id) || TRAVEL_MODES[0]
+}
+
+// Last used travel mode (survives reloads)
+export function loadTravelMode() {
+  try {
+    const saved = localStorage.getItem(TRAVEL_MODE_KEY)
+    return TRAVEL_MODES.some(mode => mode.id === saved) ? saved : DEFAULT_TRAVEL_MODE
+  } catch {
+    return DEFAULT_TRAVEL_MODE
+  }
+}
+
+export function saveTravelMode(id) {
+  try {
+    localStorage.setItem(TRAVEL_MODE_KEY, id)
+  } catch {
+    // Storage unavailable (private mode) - mode just won't be remembered
+  }
+}
+
+// Style for alternative routes that are not selected
+export const ALTERNATIVE_ROUTE_STYLE = { color: '#9aa0a6', weight: 5, opacity: 0.6 }
+
+// Style for the highlighted part of the route when a step is tapped
+export const ACTIVE_STEP_STYLE = { color: '#ea4335', weight: 8, opacity: 0.9 }
+
+/**
+ * Routing providers. Each one is
+ *   { id, label, supportsOptimize, defaults: { baseUrl, apiKey, profiles },
+ *     route(points, profile, config, { optimize }) -> { routes, order } | null }
+ * A base URL may contain {profile}, for servers that host one profile each.
+ */
+export const ROUTING_PROVIDERS = [osrm, valhalla, graphhopper]
+
+const ROUTING_SETTINGS_KEY = 'litemap.routing'
+
+export function getRoutingProvider(id) {
+  return ROUTING_PROVIDERS.find(provider => provider.id === id) || ROUTING_PROVIDERS[0]
+}
+
+// Whether the configured provider can reorder intermediate stops
+export function canOptimizeStops(settings) {
+  return getRoutingProvider(settings.provider).supportsOptimize
+}
+
+/**
+ * Default settings for a provider: its built-in defaults, overridden by the
+ * VITE_ROUTING_* env variables when they target the same provider.
+ */
+export function getDefaultRoutingSettings(providerId) {
+  const env = import.meta.env
+  const envProvider = getRoutingProvider(env.VITE_ROUTING_PROVIDER).id
+  const provider = getRoutingProvider(providerId || envProvider)
+  const fromEnv = provider.id === envProvider
+
+  return {
+    provider: provider.id,
+    baseUrl: (fromEnv && env.VITE_ROUTING_BASE_URL) || provider.defaults.baseUrl,
+    apiKey: (fromEnv && env.VITE_ROUTING_API_KEY) || provider.defaults.apiKey,
+    profiles: {
+      driving: (fromEnv && env.VITE_ROUTING_PROFILE_DRIVING) || provider.defaults.profiles.driving,
+      walking: (fromEnv && env.VITE_ROUTING_PROFILE_WALKING) || provider.defaults.profiles.walking,
+      cycling: (fromEnv && env.VITE_ROUTING_PROFILE_CYCLING) || provider.defaults.profiles.cycling
+    }
+  }
+}
+
+// Saved routing settings, falling back to the defaults for anything missing
+export function loadRoutingSettings() {
+  const saved = loadStored(ROUTING_SETTINGS_KEY)
+  if (!saved) return getDefaultRoutingSettings()
+  const defaults = getDefaultRoutingSettings(saved.provider)
+  return {
+    ...defaults,
+    baseUrl: saved.baseUrl || defaults.baseUrl,
+    apiKey: saved.apiKey ?? defaults.apiKey,
+    profiles: { ...defaults.profiles, ...saved.profiles }
+  }
+}
+
+export function saveRoutingSettings(settings) {
+  saveStored(ROUTING_SETTINGS_KEY, settings)
+}
+
+export function resetRoutingSettings() {
+  removeStored(ROUTING_SETTINGS_KEY)
+  return getDefaultRoutingSettings()
+}
+
+/**
+ * Fetch road routes through a list of [lat, lon] points (start, stops..., end).
+ * `routes` holds the best route first, followed by any alternatives the
+ * provider found (alternatives are only offered for plain start-to-end routes).
+ * With `optimize`, providers that support it pick the best order for the
+ * intermediate stops (start and end stay fixed) and `order` lists the
+ * input indices in visiting order.
+ * Answers are cached (see ./cache), so a repeated route needs no request.
+ * Returns null when no route is found; throws on network errors.
+ */
+export async function fetchRoute(points, modeId = DEFAULT_TRAVEL_MODE, { optimize = false, settings = loadRoutingSettings() } = {}) {
+  const mode = getTravelMode(modeId)
+  const provider = getRoutingProvider(settings.provider)
+  const profile = settings.profiles[mode.id]
+  const canOptimize = optimize && canOptimizeStops(settings)
+  const request = { provider: provider.id, baseUrl: settings.baseUrl, profile, points, optimize: canOptimize }
+  return withCache('route', request, () => provider.route(points, profile, settings, { optimize: canOptimize }))
+}
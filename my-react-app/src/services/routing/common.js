@@ -0,0 +1,77 @@
+/**
+ * Routing Provider Helpers
+ *
+ * PURPOSE: Pieces every routing provider shares when normalizing its
+ * responses into the app's route model:
+ *
+ *   {
+ *     coordinates: [[lat, lon]...],   // Full route line
+ *     distance,                        // km
+ *     duration,                        // minutes
+ *     legs: [{ distance, duration }],  // One per pair of consecutive waypoints
+ *     steps: [{ instruction, icon, distance, location, coordinates }]
+ *   }
+ */
+
+// Arrow shown next to each instruction, keyed by turn direction
+const MODIFIER_ARROWS = {
+  uturn: '↶',
+  'sharp right': '↱',
+  right: '→',
+  'slight right': '↗',
+  straight: '↑',
+  'slight left': '↖',
+  left: '←',
+  'sharp left': '↰'
+}
+
+export const ARRIVE_ICON = '🏁'
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest']
+
+// 0-360° bearing -> "north", "southeast"...
+export function bearingToCompass(bearing) {
+  return COMPASS[Math.round(bearing / 45) % 8]
+}
+
+export function getStepIcon(modifier) {
+  return MODIFIER_ARROWS[modifier] || MODIFIER_ARROWS.straight
+}
+
+// GeoJSON [lon, lat] -> Leaflet [lat, lon]
+export function toLatLngs(coordinates) {
+  return coordinates.map(coord => [coord[1], coord[0]])
+}
+
+// Base URL with the {profile} placeholder filled in and no trailing slash
+export function getBaseUrl(config, profile) {
+  return config.baseUrl.replace('{profile}', profile).replace(/\/+$/, '')
+}
+
+// Decode a Google-style encoded polyline (Valhalla uses precision 6)
+export function decodePolyline(encoded, precision = 6) {
+  const factor = Math.pow(10, precision)
+  const points = []
+  let index = 0
+  let lat = 0
+  let lon = 0
+
+  while (index < encoded.length) {
+    for (const axis of [0, 1]) {
+      let result = 0
+      let shift = 0
+      let byte
+      do {
+        byte = encoded.charCodeAt(index++) - 63
+        result |= (byte & 0x1f) << shift
+        shift += 5
+      } while (byte >= 0x20)
+      const delta = result & 1 ? ~(result >> 1) : result >> 1
+      if (axis === 0) lat += delta
+      else lon += delta
+    }
+    points.push([lat / factor, lon / factor])
+  }
+
+  return points
+}
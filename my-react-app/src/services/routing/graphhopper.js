@@ -0,0 +1,95 @@
+/**
+ * GraphHopper Routing Provider
+ *
+ * PURPOSE: Routes and alternatives from the GraphHopper Routing API
+ *
+ * Works with both the hosted API (needs an API key) and a self-hosted
+ * graphhopper-web server. The hosted route endpoint cannot reorder stops,
+ * so optimize is not supported and stops are visited in the given order.
+ */
+
+import { ARRIVE_ICON, getStepIcon, getBaseUrl, toLatLngs } from './common'
+
+// GraphHopper instruction sign -> turn direction
+const SIGN_MODIFIERS = {
+  '-98': 'uturn', '-8': 'uturn',
+  '-7': 'slight left', '-3': 'sharp left', '-2': 'left', '-1': 'slight left',
+  1: 'slight right', 2: 'right', 3: 'sharp right',
+  7: 'slight right', 8: 'uturn'
+}
+
+const SIGN_FINISH = 4
+const SIGN_VIA_REACHED = 5
+
+function normalizePath(path) {
+  const coordinates = toLatLngs(path.points.coordinates)
+  const legs = [{ distance: 0, duration: 0 }]
+
+  const steps = path.instructions.map(instruction => {
+    const leg = legs[legs.length - 1]
+    leg.distance += instruction.distance / 1000
+    leg.duration += instruction.time / 60000
+    // A "via reached" instruction ends the current leg
+    if (instruction.sign === SIGN_VIA_REACHED) {
+      legs.push({ distance: 0, duration: 0 })
+    }
+
+    const [from, to] = instruction.interval
+    const isArrival = instruction.sign === SIGN_FINISH || instruction.sign === SIGN_VIA_REACHED
+    return {
+      instruction: instruction.text,
+      icon: isArrival ? ARRIVE_ICON : getStepIcon(SIGN_MODIFIERS[instruction.sign]),
+      distance: instruction.distance / 1000,
+      location: coordinates[from],
+      coordinates: coordinates.slice(from, to + 1)
+    }
+  })
+
+  return {
+    coordinates,
+    distance: path.distance / 1000,
+    duration: Math.round(path.time / 60000), // Milliseconds to minutes
+    legs: legs.map(leg => ({ distance: leg.distance, duration: Math.round(leg.duration) })),
+    steps
+  }
+}
+
+const graphhopper = {
+  id: 'graphhopper',
+  label: 'GraphHopper',
+  supportsOptimize: false,
+  defaults: {
+    baseUrl: 'https://graphhopper.com/api/1',
+    apiKey: '',
+    profiles: { driving: 'car', walking: 'foot', cycling: 'bike' }
+  },
+
+  async route(points, profile, config) {
+    const baseUrl = getBaseUrl(config, profile)
+    const params = new URLSearchParams({
+      profile,
+      points_encoded: 'false',
+      instructions: 'true',
+      locale: 'en'
+    })
+    points.forEach(([lat, lon]) => params.append('point', `${lat},${lon}`))
+    if (points.length === 2) {
+      params.set('algorithm', 'alternative_route')
+    }
+    if (config.apiKey) {
+      params.set('key', config.apiKey)
+    }
+
+    const response = await fetch(`${baseUrl}/route?${params}`)
+    const data = await response.json()
+
+    // Unroutable points come back as a 400 with a message
+    if (!response.ok || !data.paths || data.paths.length === 0) {
+      return null
+    }
+
+    return { routes: data.paths.map(normalizePath), order: null }
+  }
+}
+
+export default graphhopper
@@ -0,0 +1,124 @@
+/**
+ * OSRM Routing Provider
+ *
+ * PURPOSE: Routes, alternatives and optimized stop order from an OSRM server
+ *
+ * osrm-routed serves one profile per server and ignores the profile segment
+ * of the URL, so the profile is also substituted into the base URL. That lets
+ * the FOSSGIS instances (one per profile) and a single self-hosted server
+ * share the same config shape.
+ */
+
+import { ARRIVE_ICON, bearingToCompass, getStepIcon, getBaseUrl, toLatLngs } from './common'
+
+function ordinal(n) {
+  const suffix = ['th', 'st', 'nd', 'rd']
+  const v = n % 100
+  return n + (suffix[(v - 20) % 10] || suffix[v] || suffix[0])
+}
+
+// Turn an OSRM maneuver into a readable instruction
+function describeStep(step, isLastLeg, legIndex) {
+  const { type, modifier, exit, bearing_after: bearingAfter } = step.maneuver
+  const road = step.name || step.ref || ''
+  const onto = road ? ` onto ${road}` : ''
+  const target = isLastLeg ? 'your destination' : `stop ${legIndex + 1}`
+
+  switch (type) {
+    case 'depart':
+      return `Head ${bearingToCompass(bearingAfter)}${road ? ` on ${road}` : ''}`
+    case 'arrive':
+      return modifier === 'left' || modifier === 'right'
+        ? `Arrive at ${target} on the ${modifier}`
+        : `Arrive at ${target}`
+    case 'roundabout':
+    case 'rotary':
+      return exit
+        ? `Enter the roundabout and take the ${ordinal(exit)} exit${onto}`
+        : `Enter the roundabout${onto}`
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `Exit the roundabout${onto}`
+    case 'merge':
+      return `Merge${modifier ? ` ${modifier}` : ''}${onto}`
+    case 'on ramp':
+      return `Take the ramp${onto}`
+    case 'off ramp':
+      return `Take the exit${onto}`
+    case 'fork':
+      return `Keep ${modifier || 'straight'} at the fork${onto}`
+    case 'continue':
+    case 'new name':
+      return !modifier || modifier === 'straight' ? `Continue${onto}` : `Continue ${modifier}${onto}`
+    default:
+      if (modifier === 'uturn') return `Make a U-turn${onto}`
+      if (!modifier || modifier === 'straight') return `Go straight${onto}`
+      return `Turn ${modifier}${onto}`
+  }
+}
+
+// Flatten OSRM steps (all legs) into the app's step model
+function normalizeSteps(route) {
+  return route.legs.flatMap((leg, legIndex) => leg.steps.map(step => ({
+    instruction: describeStep(step, legIndex === route.legs.length - 1, legIndex),
+    icon: step.maneuver.type === 'arrive' ? ARRIVE_ICON : getStepIcon(step.maneuver.modifier),
+    distance: step.distance / 1000, // km
+    location: [step.maneuver.location[1], step.maneuver.location[0]],
+    coordinates: toLatLngs(step.geometry.coordinates)
+  })))
+}
+
+function normalizeRoute(route) {
+  return {
+    coordinates: toLatLngs(route.geometry.coordinates),
+    distance: route.distance / 1000, // Convert meters to km
+    duration: Math.round(route.duration / 60), // Convert seconds to minutes
+    legs: route.legs.map(leg => ({
+      distance: leg.distance / 1000,
+      duration: Math.round(leg.duration / 60)
+    })),
+    steps: normalizeSteps(route)
+  }
+}
+
+const osrm = {
+  id: 'osrm',
+  label: 'OSRM',
+  supportsOptimize: true,
+  defaults: {
+    baseUrl: 'https://routing.openstreetmap.de/routed-{profile}',
+    apiKey: '',
+    profiles: { driving: 'car', walking: 'foot', cycling: 'bike' }
+  },
+
+  async route(points, profile, config, { optimize = false } = {}) {
+    const baseUrl = getBaseUrl(config, profile)
+    const coords = points.map(([lat, lon]) => `${lon},${lat}`).join(';')
+    const useTrip = optimize && points.length > 3
+    const alternatives = points.length === 2 ? '&alternatives=true' : ''
+
+    const response = await fetch(useTrip
+      ? `${baseUrl}/trip/v1/${profile}/${coords}?source=first&destination=last&roundtrip=false&overview=full&geometries=geojson&steps=true`
+      : `${baseUrl}/route/v1/${profile}/${coords}?overview=full&geometries=geojson&steps=true${alternatives}`
+    )
+    const data = await response.json()
+
+    const routes = useTrip ? data.trips : data.routes
+    if (data.code !== 'Ok' || !routes || routes.length === 0) {
+      return null
+    }
+
+    return {
+      routes: routes.map(normalizeRoute),
+      // Trip waypoints carry their position in the trip; sort inputs by it
+      order: useTrip
+        ? data.waypoints
+            .map((waypoint, index) => ({ index, position: waypoint.waypoint_index }))
+            .sort((a, b) => a.position - b.position)
+            .map(item => item.index)
+        : null
+    }
+  }
+}
+
+export default osrm
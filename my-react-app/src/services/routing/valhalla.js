@@ -0,0 +1,96 @@
+/**
+ * Valhalla Routing Provider
+ *
+ * PURPOSE: Routes, alternatives and optimized stop order from a Valhalla server
+ *
+ * Valhalla picks the travel mode through its "costing" model, so the
+ * profile here is a costing name (auto, pedestrian, bicycle...). Its
+ * maneuvers already carry readable instructions; only the arrow icon is
+ * derived from the maneuver type.
+ */
+
+import { ARRIVE_ICON, getStepIcon, getBaseUrl, decodePolyline } from './common'
+
+// Valhalla maneuver type -> turn direction (see Valhalla's TripLeg_Maneuver_Type)
+const MANEUVER_MODIFIERS = {
+  9: 'slight right', 10: 'right', 11: 'sharp right',
+  12: 'uturn', 13: 'uturn',
+  14: 'sharp left', 15: 'left', 16: 'slight left',
+  18: 'slight right', 19: 'slight left',
+  20: 'slight right', 21: 'slight left',
+  23: 'slight right', 24: 'slight left',
+  37: 'slight right', 38: 'slight left'
+}
+
+const ARRIVE_TYPES = [4, 5, 6]
+
+function normalizeTrip(trip) {
+  const legs = trip.legs.map(leg => {
+    const shape = decodePolyline(leg.shape)
+    return {
+      shape,
+      distance: leg.summary.length, // Already km
+      duration: Math.round(leg.summary.time / 60),
+      steps: leg.maneuvers.map(maneuver => ({
+        instruction: maneuver.instruction,
+        icon: ARRIVE_TYPES.includes(maneuver.type) ? ARRIVE_ICON : getStepIcon(MANEUVER_MODIFIERS[maneuver.type]),
+        distance: maneuver.length,
+        location: shape[maneuver.begin_shape_index],
+        coordinates: shape.slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1)
+      }))
+    }
+  })
+
+  return {
+    // Each leg starts where the previous one ended - drop the repeated point
+    coordinates: legs.flatMap((leg, index) => index === 0 ? leg.shape : leg.shape.slice(1)),
+    distance: trip.summary.length,
+    duration: Math.round(trip.summary.time / 60),
+    legs: legs.map(({ distance, duration }) => ({ distance, duration })),
+    steps: legs.flatMap(leg => leg.steps)
+  }
+}
+
+const valhalla = {
+  id: 'valhalla',
+  label: 'Valhalla',
+  supportsOptimize: true,
+  defaults: {
+    baseUrl: 'https://valhalla1.openstreetmap.de',
+    apiKey: '',
+    profiles: { driving: 'auto', walking: 'pedestrian', cycling: 'bicycle' }
+  },
+
+  async route(points, profile, config, { optimize = false } = {}) {
+    const baseUrl = getBaseUrl(config, profile)
+    // optimized_route keeps the first and last locations fixed
+    const useOptimized = optimize && points.length > 3
+    const request = {
+      locations: points.map(([lat, lon]) => ({ lat, lon })),
+      costing: profile,
+      directions_options: { units: 'kilometers' }
+    }
+    if (!useOptimized && points.length === 2) {
+      request.alternates = 2
+    }
+
+    const key = config.apiKey ? `&api_key=${encodeURIComponent(config.apiKey)}` : ''
+    const response = await fetch(
+      `${baseUrl}/${useOptimized ? 'optimized_route' : 'route'}?json=${encodeURIComponent(JSON.stringify(request))}${key}`
+    )
+    const data = await response.json()
+
+    // Valhalla answers "no route" with an error_code and a 4xx status
+    if (!response.ok || !data.trip) {
+      return null
+    }
+
+    const trips = [data.trip, ...(data.alternates || []).map(alternate => alternate.trip)]
+    return {
+      routes: trips.map(normalizeTrip),
+      order: useOptimized ? data.trip.locations.map(location => location.original_index) : null
+    }
+  }
+}
+
+export default valhalla
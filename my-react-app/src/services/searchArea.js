@@ -0,0 +1,90 @@
+/**
+ * Search Area Settings
+ *
+ * PURPOSE: How far around the bias point searches look, and where they
+ * fall back to when nothing is close
+ *
+ * A region profile sets the map's starting center, the country codes
+ * searches are held to, and the last-resort fallback:
+ *   'country' - search the whole of the region's countries
+ *   'world'   - search everywhere
+ *   'none'    - stop at the widened radius
+ * VITE_SEARCH_REGION / VITE_SEARCH_RADIUS_KM give the defaults, and the
+ * Settings panel can override them per browser.
+ */
+
+import { loadStored, saveStored, removeStored } from '../utils/storage'
+
+export const REGION_PROFILES = [
+  { id: 'ph', label: 'Philippines', countryCodes: ['ph'], center: [14.4324, 120.9619], fallback: 'country' },
+  { id: 'sg', label: 'Singapore', countryCodes: ['sg'], center: [1.2903, 103.8520], fallback: 'country' },
+  { id: 'hk', label: 'Hong Kong', countryCodes: ['hk'], center: [22.2800, 114.1588], fallback: 'country' },
+  { id: 'ae', label: 'United Arab Emirates', countryCodes: ['ae'], center: [25.2048, 55.2708], fallback: 'country' },
+  { id: 'us', label: 'United States', countryCodes: ['us'], center: [37.7749, -122.4194], fallback: 'country' },
+  { id: 'world', label: 'Worldwide', countryCodes: [], center: [14.4324, 120.9619], fallback: 'world' }
+]
+
+// Radius slider range (km)
+export const SEARCH_RADIUS = { min: 1, max: 50, step: 1, default: 5 }
+
+// Second pass before the region fallback, as a multiple of the radius
+const WIDEN_FACTOR = 3
+
+// Result pages for the sidebar list
+export const RESULTS_PAGE = { search: 6, category: 8 }
+
+const SEARCH_SETTINGS_KEY = 'litemap.searchArea'
+
+export function getRegionProfile(id) {
+  return REGION_PROFILES.find(region => region.id === id) || REGION_PROFILES[0]
+}
+
+function clampRadius(km) {
+  const value = Number(km)
+  if (!Number.isFinite(value)) return SEARCH_RADIUS.default
+  return Math.min(SEARCH_RADIUS.max, Math.max(SEARCH_RADIUS.min, value))
+}
+
+export function getDefaultSearchSettings() {
+  const env = import.meta.env
+  return {
+    region: getRegionProfile(env.VITE_SEARCH_REGION).id,
+    radiusKm: clampRadius(env.VITE_SEARCH_RADIUS_KM || SEARCH_RADIUS.default)
+  }
+}
+
+// Saved search area, falling back to the defaults for anything missing
+export function loadSearchSettings() {
+  const saved = loadStored(SEARCH_SETTINGS_KEY)
+  if (!saved) return getDefaultSearchSettings()
+  const defaults = getDefaultSearchSettings()
+  return {
+    region: saved.region ? getRegionProfile(saved.region).id : defaults.region,
+    radiusKm: saved.radiusKm ? clampRadius(saved.radiusKm) : defaults.radiusKm
+  }
+}
+
+export function saveSearchSettings(settings) {
+  saveStored(SEARCH_SETTINGS_KEY, settings)
+}
+
+export function resetSearchSettings() {
+  removeStored(SEARCH_SETTINGS_KEY)
+  return getDefaultSearchSettings()
+}
+
+/**
+ * The passes a search makes until something turns up: the radius, the
+ * widened radius, then (with `fallback`) the region's fallback. Each pass
+ * is { radiusKm } or { countryCodes } ([] meaning anywhere).
+ */
+export function getSearchPasses(settings, { fallback = true } = {}) {
+  const region = getRegionProfile(settings.region)
+  const passes = [
+    { radiusKm: settings.radiusKm },
+    { radiusKm: settings.radiusKm * WIDEN_FACTOR }
+  ]
+  if (fallback && region.fallback === 'country') passes.push({ countryCodes: region.countryCodes })
+  if (fallback && region.fallback === 'world') passes.push({ countryCodes: [] })
+  return passes
+}
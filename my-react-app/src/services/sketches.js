@@ -0,0 +1,83 @@
+/**
+ * Sketches Service
+ *
+ * PURPOSE: Points, lines and areas the user draws on the map, kept in
+ * localStorage as one editable layer and exportable as GeoJSON
+ *
+ * Sketch model:
+ *   {
+ *     id,
+ *     type,                // 'point', 'line' or 'polygon' (a SKETCH_TYPES key)
+ *     points,              // [[lat, lng]...] - one for a point, rings are not closed
+ *     name, description,
+ *     color,               // A LAYER_COLORS entry (see ./layers)
+ *     createdAt            // ms timestamp
+ *   }
+ */
+
+import { LAYER_COLORS } from './layers'
+
+const SKETCHES_KEY = 'litemap.sketches'
+
+export const SKETCH_TYPES = {
+  point: { label: 'Point', icon: '📍', minPoints: 1 },
+  line: { label: 'Line', icon: '〰️', minPoints: 2 },
+  polygon: { label: 'Area', icon: '⬠', minPoints: 3 }
+}
+
+export function loadSketches() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SKETCHES_KEY))
+    return Array.isArray(saved)
+      ? saved.filter(sketch => SKETCH_TYPES[sketch?.type] && sketch.points?.length >= SKETCH_TYPES[sketch.type].minPoints)
+      : []
+  } catch {
+    return []
+  }
+}
+
+export function saveSketches(sketches) {
+  try {
+    localStorage.setItem(SKETCHES_KEY, JSON.stringify(sketches))
+  } catch {
+    // Storage unavailable (private mode) - sketches last for this session only
+  }
+  return sketches
+}
+
+// A new sketch named after its type ("Area 3"), in the next color
+export function createSketch(type, points, sketches) {
+  const count = sketches.filter(sketch => sketch.type === type).length
+  return {
+    id: `sketch-${Date.now()}`,
+    type,
+    points,
+    name: `${SKETCH_TYPES[type].label} ${count + 1}`,
+    description: '',
+    color: LAYER_COLORS[sketches.length % LAYER_COLORS.length],
+    createdAt: Date.now()
+  }
+}
+
+function toGeometry({ type, points }) {
+  const coordinates = points.map(([lat, lng]) => [lng, lat])
+  if (type === 'point') return { type: 'Point', coordinates: coordinates[0] }
+  if (type === 'line') return { type: 'LineString', coordinates }
+  return { type: 'Polygon', coordinates: [[...coordinates, coordinates[0]]] }
+}
+
+// The sketch layer as a GeoJSON file; name, description and color become properties
+export function toSketchesGeoJSON(sketches) {
+  const features = sketches.map(sketch => ({
+    type: 'Feature',
+    geometry: toGeometry(sketch),
+    properties: {
+      name: sketch.name,
+      ...(sketch.description ? { description: sketch.description } : {}),
+      // simplestyle-spec keys, read by geojson.io, GitHub and QGIS plugins
+      [sketch.type === 'point' ? 'marker-color' : 'stroke']: sketch.color,
+      ...(sketch.type === 'polygon' ? { fill: sketch.color } : {})
+    }
+  }))
+  return JSON.stringify({ type: 'FeatureCollection', name: 'LiteMap sketches', features }, null, 2)
+}
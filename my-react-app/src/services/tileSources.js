@@ -0,0 +1,101 @@
+/**
+ * Tile Sources
+ *
+ * PURPOSE: The base maps users can switch between - a registry of raster
+ * tile sources read from a config file, so self-hosted tiles (or an
+ * MBTiles file behind a tile server) can be added without a rebuild
+ *
+ * Source model:
+ *   {
+ *     id, label,     // "satellite", "Satellite"
+ *     url,           // Leaflet URL template - {s} {z} {x} {y} {r}, and {apiKey}
+ *     attribution,   // HTML credit line the source's terms ask for
+ *     maxZoom,       // Deepest zoom the source has tiles for
+ *     subdomains,    // Values for {s} ("abc")
+ *     apiKey,        // Filled into {apiKey}; sources needing one are skipped without it
+ *     allowOffline   // Whether the source's terms allow bulk downloads for offline maps
+ *   }
+ *
+ * The registry is a JSON file ({ "sources": [...] }, first one is the
+ * default) at VITE_TILE_SOURCES_URL, public/tile-sources.json by default.
+ * The chosen base map is remembered per browser.
+ */
+
+const BASE_MAP_KEY = 'litemap.baseMap'
+const DEFAULT_REGISTRY_URL = '/tile-sources.json'
+
+// Used until the registry loads, and if it can't be read
+export const DEFAULT_TILE_SOURCES = [
+  {
+    id: 'osm',
+    label: 'Default',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+    subdomains: 'abc',
+    apiKey: '',
+    allowOffline: false // The OSM tile policy forbids bulk downloads
+  }
+]
+
+// Clean one registry entry; null when it can't be shown
+function normalizeTileSource(item) {
+  if (!item || typeof item.id !== 'string' || typeof item.url !== 'string' || !item.url.includes('{z}')) return null
+
+  const apiKey = typeof item.apiKey === 'string' ? item.apiKey.trim() : ''
+  if (item.url.includes('{apiKey}') && !apiKey) return null
+
+  return {
+    id: item.id,
+    label: typeof item.label === 'string' && item.label.trim() ? item.label.trim() : item.id,
+    url: item.url,
+    attribution: typeof item.attribution === 'string' ? item.attribution : '',
+    maxZoom: Number.isFinite(item.maxZoom) ? item.maxZoom : 19,
+    subdomains: typeof item.subdomains === 'string' || Array.isArray(item.subdomains) ? item.subdomains : 'abc',
+    apiKey,
+    // Opt-in, so a source added without checking its terms is never bulk-downloaded
+    allowOffline: item.allowOffline === true
+  }
+}
+
+/**
+ * Read the tile source registry. Throws when the file is missing or holds
+ * no usable sources, so the caller can keep the defaults.
+ */
+export async function loadTileSources(url = import.meta.env.VITE_TILE_SOURCES_URL || DEFAULT_REGISTRY_URL) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Tile sources request failed (${response.status})`)
+  }
+  const data = await response.json()
+  const list = Array.isArray(data) ? data : data?.sources
+  const seen = new Set()
+  const sources = (Array.isArray(list) ? list : [])
+    .map(normalizeTileSource)
+    .filter(source => source && !seen.has(source.id) && seen.add(source.id))
+  if (sources.length === 0) {
+    throw new Error('No usable tile sources in registry')
+  }
+  return sources
+}
+
+// The source with this id, or the registry's default
+export function getTileSource(sources, id) {
+  return sources.find(source => source.id === id) || sources[0]
+}
+
+export function loadBaseMapId() {
+  try {
+    return localStorage.getItem(BASE_MAP_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function saveBaseMapId(id) {
+  try {
+    localStorage.setItem(BASE_MAP_KEY, id)
+  } catch {
+    // Storage unavailable (private mode) - choice lasts for this session only
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * User Places Service
+ *
+ * PURPOSE: The user's own places - recent searches and saved (starred)
+ * places - kept in localStorage so they survive reloads
+ *
+ * Both lists hold entries in the geocoding place model
+ * ({ id, name, address, addressParts, lat, lon, type, category }). A recent
+ * search typed but never resolved to a place is stored as { id, name } with
+ * no lat/lon.
+ */
+
+const RECENT_KEY = 'litemap.recentSearches'
+const SAVED_KEY = 'litemap.savedPlaces'
+const MAX_RECENT = 10
+
+function loadList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key))
+    return Array.isArray(list) ? list : []
+  } catch {
+    return []
+  }
+}
+
+function saveList(key, list) {
+  try {
+    localStorage.setItem(key, JSON.stringify(list))
+  } catch {
+    // Storage unavailable (private mode) - list lasts for this session only
+  }
+}
+
+// Keep only the place model fields (drops per-search extras like distance)
+function toStoredPlace({ id, name, address, addressParts, lat, lon, type, category }) {
+  return { id: id || `place:${lat},${lon}`, name, address, addressParts, lat, lon, type, category }
+}
+
+export function loadRecentSearches() {
+  return loadList(RECENT_KEY)
+}
+
+/**
+ * Put a place (or a plain query string) at the top of the recent list.
+ * Returns the updated list.
+ */
+export function addRecentSearch(recent, entry) {
+  const item = typeof entry === 'string'
+    ? { id: `query:${entry.toLowerCase()}`, name: entry }
+    : toStoredPlace(entry)
+  const updated = [item, ...recent.filter(r => r.id !== item.id)].slice(0, MAX_RECENT)
+  saveList(RECENT_KEY, updated)
+  return updated
+}
+
+export function clearRecentSearches() {
+  saveList(RECENT_KEY, [])
+  return []
+}
+
+export function loadSavedPlaces() {
+  return loadList(SAVED_KEY)
+}
+
+// Same spot, whatever provider the place came from
+export function isSamePlace(a, b) {
+  return a.lat === b.lat && a.lon === b.lon
+}
+
+// Save the place, or unsave it if it is already saved. Returns the updated list.
+export function toggleSavedPlace(saved, place) {
+  const updated = saved.some(p => isSamePlace(p, place))
+    ? saved.filter(p => !isSamePlace(p, place))
+    : [toStoredPlace(place), ...saved]
+  saveList(SAVED_KEY, updated)
+  return updated
+}
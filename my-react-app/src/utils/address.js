@@ -0,0 +1,49 @@
+/**
+ * Address Helpers
+ *
+ * PURPOSE: Read the structured address providers return (`addressParts`
+ * in the place model, see services/geocoding/common) for display, sorting
+ * and grouping
+ *
+ * Fields follow the Philippine address: house/street, barangay,
+ * city/municipality, province, postal code. Elsewhere "barangay" holds
+ * the suburb or district. Places saved before addresses were structured
+ * only have the `address` string, so every helper falls back to it.
+ */
+
+export const ADDRESS_FIELDS = {
+  street: 'House / street',
+  barangay: 'Barangay',
+  city: 'City / municipality',
+  province: 'Province',
+  postcode: 'Postal code'
+}
+
+// Only the fields that have a value, trimmed
+export function toAddressParts(fields) {
+  return Object.fromEntries(
+    Object.keys(ADDRESS_FIELDS)
+      .map(key => [key, typeof fields[key] === 'string' ? fields[key].trim() : ''])
+      .filter(([, value]) => value)
+  )
+}
+
+export function hasAddressParts(place) {
+  return Boolean(place?.addressParts) && Object.keys(place.addressParts).length > 0
+}
+
+// One line for lists: "J.M. Loyola Street, Poblacion, Carmona"
+export function getAddressLine(place) {
+  if (!hasAddressParts(place)) return (place?.address || '').split(',').slice(0, 2).join(',')
+
+  const { street, barangay, city, province } = place.addressParts
+  const local = [street, barangay, city].filter(Boolean)
+  return (local.length > 0 ? local : [province])
+    .filter(part => part && part !== place.name)
+    .join(', ')
+}
+
+// Field value to sort or group by; '' when the place doesn't have it
+export function getAddressField(place, field) {
+  return place?.addressParts?.[field] || ''
+}
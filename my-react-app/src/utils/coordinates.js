@@ -0,0 +1,300 @@
+/**
+ * Coordinate Parsing
+ *
+ * PURPOSE: Recognize typed or pasted coordinates so search can jump
+ * straight to a point instead of geocoding them as text
+ *
+ * Accepted formats:
+ *   - Decimal degrees:  "14.4324, 120.9619", "14.4324N 120.9619E"
+ *   - DMS / DM:         14°25'56.6"N 120°57'42.8"E, 14 25.943 N 120 57.713 E
+ *   - Open Location Code (Plus Code): full "7Q62CXJ6+XQ", or short
+ *     "CXJ6+XQ" (resolved near a reference point; any text after it
+ *     is returned as `locality`)
+ *   - UTM (WGS84): "51P 280000 1597000" - the letter is the latitude band
+ *
+ * Latitude comes first for degree formats, as survey sheets write it.
+ * formatCoordinates() writes a position back out in any of them.
+ */
+
+export const COORDINATE_FORMATS = {
+  decimal: 'Decimal degrees',
+  dms: 'Degrees, minutes, seconds',
+  pluscode: 'Plus Code',
+  utm: 'UTM'
+}
+
+// ---- Decimal degrees and DMS ----
+
+const NUMBER = '(-?\\d{1,3}(?:\\.\\d+)?)'
+const PART = `([NSEW])?\\s*${NUMBER}\\s*°?\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*'?\\s*)?(?:(\\d{1,2}(?:\\.\\d+)?)\\s*"?\\s*)?([NSEW])?`
+const DEGREES_PATTERN = new RegExp(`^\\s*${PART}\\s*[,;\\s]\\s*${PART}\\s*$`)
+
+// Same quote marks whatever keyboard or PDF they were pasted from
+function normalize(text) {
+  return text
+    .toUpperCase()
+    .replace(/[′’‘`]/g, "'")
+    .replace(/[″“”]|''/g, '"')
+    .replace(/º/g, '°')
+}
+
+function toDegrees(degrees, minutes, seconds, hemisphere) {
+  const value = Math.abs(parseFloat(degrees)) + (parseFloat(minutes) || 0) / 60 + (parseFloat(seconds) || 0) / 3600
+  const negative = degrees.startsWith('-') || hemisphere === 'S' || hemisphere === 'W'
+  return negative ? -value : value
+}
+
+// 14.4324 -> 14°25'56.6"N
+function formatDms(value, positive, negative) {
+  const totalSeconds = Math.round(Math.abs(value) * 36000) / 10
+  const degrees = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = (totalSeconds % 60).toFixed(1)
+  return `${degrees}°${minutes}'${seconds}"${value < 0 ? negative : positive}`
+}
+
+function parseDegrees(text) {
+  const match = normalize(text).match(DEGREES_PATTERN)
+  if (!match) return null
+
+  const [, latBefore, latDeg, latMin, latSec, latAfter, lonBefore, lonDeg, lonMin, lonSec, lonAfter] = match
+  const latHemisphere = latBefore || latAfter
+  const lonHemisphere = lonBefore || lonAfter
+
+  // Plain integer pairs ("7 11") are more likely a name than a place
+  const looksLikeCoordinates = /[.°'"]/.test(text) || latHemisphere || lonHemisphere
+  if (!looksLikeCoordinates) return null
+  if ((latHemisphere && !'NS'.includes(latHemisphere)) || (lonHemisphere && !'EW'.includes(lonHemisphere))) return null
+  if ([latMin, latSec, lonMin, lonSec].some(part => part !== undefined && parseFloat(part) >= 60)) return null
+
+  const lat = toDegrees(latDeg, latMin, latSec, latHemisphere)
+  const lon = toDegrees(lonDeg, lonMin, lonSec, lonHemisphere)
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null
+
+  const hasMinutes = latMin !== undefined || lonMin !== undefined
+  return { position: [lat, lon], format: hasMinutes ? 'dms' : 'decimal', locality: '' }
+}
+
+// ---- Open Location Code ----
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX'
+const OLC_PATTERN = /^\s*([23456789CFGHJMPQRVWX]{2,8}0*\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+?))?\s*$/
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125]
+
+// Center of a full code
+function decodePlusCode(code) {
+  const digits = code.replace('+', '').replace(/0+$/, '')
+  let lat = -90
+  let lon = -180
+  let latSize = 0
+  let lonSize = 0
+
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i / 2]
+    lat += OLC_ALPHABET.indexOf(digits[i]) * resolution
+    lon += OLC_ALPHABET.indexOf(digits[i + 1]) * resolution
+    latSize = lonSize = resolution
+  }
+  // Past 10 digits each one splits the cell into a 5 x 4 grid
+  for (let i = 10; i < digits.length; i++) {
+    const index = OLC_ALPHABET.indexOf(digits[i])
+    latSize /= 5
+    lonSize /= 4
+    lat += Math.floor(index / 4) * latSize
+    lon += (index % 4) * lonSize
+  }
+
+  return [lat + latSize / 2, lon + lonSize / 2]
+}
+
+// First `length` digits of the code for a point
+function encodePlusCodePrefix(lat, lon, length) {
+  let latValue = Math.min(Math.max(lat, -90), 89.999999) + 90
+  let lonValue = ((lon + 180) % 360 + 360) % 360
+  let prefix = ''
+  for (let i = 0; i < length / 2; i++) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i]
+    const latDigit = Math.floor(latValue / resolution)
+    const lonDigit = Math.floor(lonValue / resolution)
+    latValue -= latDigit * resolution
+    lonValue -= lonDigit * resolution
+    prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lonDigit]
+  }
+  return prefix
+}
+
+// Full 10-digit code (~14 m cell) for a point
+function encodePlusCode(lat, lon) {
+  const digits = encodePlusCodePrefix(lat, lon, 10)
+  return `${digits.slice(0, 8)}+${digits.slice(8)}`
+}
+
+// Short code -> full code for the cell nearest the reference point
+function recoverPlusCode(shortCode, [refLat, refLon]) {
+  const missing = 8 - shortCode.indexOf('+')
+  const resolution = Math.pow(20, 2 - missing / 2)
+  const half = resolution / 2
+  const prefix = encodePlusCodePrefix(
+    Math.floor(refLat / resolution) * resolution,
+    Math.floor(refLon / resolution) * resolution,
+    missing
+  )
+  let [lat, lon] = decodePlusCode(prefix + shortCode)
+
+  // The nearest match may sit in the neighbouring cell
+  if (refLat + half < lat && lat - resolution >= -90) lat -= resolution
+  else if (refLat - half > lat && lat + resolution <= 90) lat += resolution
+  if (refLon + half < lon) lon -= resolution
+  else if (refLon - half > lon) lon += resolution
+
+  return [lat, lon]
+}
+
+function parsePlusCode(text, reference) {
+  const match = text.toUpperCase().match(OLC_PATTERN)
+  if (!match) return null
+
+  const code = match[1]
+  const separator = code.indexOf('+')
+  // Separator after an even number of digits; padding only in full codes
+  if (separator % 2 !== 0 || separator > 8) return null
+  if (code.includes('0') && (separator !== 8 || code.length > 9)) return null
+
+  if (separator === 8) {
+    // First digits bound latitude (< 90°) and longitude (< 180°)
+    if (OLC_ALPHABET.indexOf(code[0]) > 8 || OLC_ALPHABET.indexOf(code[1]) > 17) return null
+    return { position: decodePlusCode(code), format: 'pluscode', locality: '' }
+  }
+  if (!reference) return null
+  return { position: recoverPlusCode(code, reference), format: 'pluscode', locality: getPlusCodeLocality(text) }
+}
+
+// ---- UTM ----
+
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWXX' // 8° each from 80°S; X runs to 84°N
+const UTM_K0 = 0.9996
+const WGS84_A = 6378137
+const WGS84_F = 1 / 298.257223563
+const UTM_PATTERN = /^\s*(?:ZONE\s*)?(\d{1,2})\s*([C-HJ-NP-X])\s*[,\s]\s*(\d{6}(?:\.\d+)?)\s*(?:M?E)?\s*[,\s]\s*(\d{1,8}(?:\.\d+)?)\s*(?:M?N)?\s*$/
+
+// UTM -> [lat, lon] on WGS84 (USGS series, sub-meter at street scale)
+export function utmToLatLon(zone, band, easting, northing) {
+  const k0 = UTM_K0
+  const a = WGS84_A
+  const e2 = WGS84_F * (2 - WGS84_F)
+  const ep2 = e2 / (1 - e2)
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2))
+
+  const x = easting - 500000
+  const y = band < 'N' ? northing - 10000000 : northing // Bands C-M are south of the equator
+  const mu = y / k0 / (a * (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256))
+  const phi1 = mu
+    + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+    + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+    + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+    + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu)
+
+  const sinPhi = Math.sin(phi1)
+  const cosPhi = Math.cos(phi1)
+  const n1 = a / Math.sqrt(1 - e2 * sinPhi ** 2)
+  const t1 = Math.tan(phi1) ** 2
+  const c1 = ep2 * cosPhi ** 2
+  const r1 = a * (1 - e2) / Math.pow(1 - e2 * sinPhi ** 2, 1.5)
+  const d = x / (n1 * k0)
+
+  const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d ** 2 / 2
+    - (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4 / 24
+    + (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6 / 720
+  )
+  const lon = (
+    d
+    - (1 + 2 * t1 + c1) * d ** 3 / 6
+    + (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5 / 120
+  ) / cosPhi
+
+  const centralMeridian = (zone - 1) * 6 - 180 + 3
+  return [lat * 180 / Math.PI, centralMeridian + lon * 180 / Math.PI]
+}
+
+// [lat, lon] -> "51P 280000 1597000"; UTM stops at 80°S and 84°N
+function latLonToUtm(lat, lon) {
+  if (lat < -80 || lat > 84) return ''
+
+  const k0 = UTM_K0
+  const a = WGS84_A
+  const e2 = WGS84_F * (2 - WGS84_F)
+  const ep2 = e2 / (1 - e2)
+
+  const zone = Math.min(Math.floor((lon + 180) / 6) + 1, 60)
+  const centralMeridian = (zone - 1) * 6 - 180 + 3
+  const phi = lat * Math.PI / 180
+  const sinPhi = Math.sin(phi)
+  const cosPhi = Math.cos(phi)
+  const n = a / Math.sqrt(1 - e2 * sinPhi ** 2)
+  const t = Math.tan(phi) ** 2
+  const c = ep2 * cosPhi ** 2
+  const d = cosPhi * (lon - centralMeridian) * Math.PI / 180
+  const m = a * (
+    (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+    - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+    + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+    - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+  )
+
+  const easting = 500000 + k0 * n * (
+    d
+    + (1 - t + c) * d ** 3 / 6
+    + (5 - 18 * t + t ** 2 + 72 * c - 58 * ep2) * d ** 5 / 120
+  )
+  const northing = k0 * (m + n * Math.tan(phi) * (
+    d ** 2 / 2
+    + (5 - t + 9 * c + 4 * c ** 2) * d ** 4 / 24
+    + (61 - 58 * t + t ** 2 + 600 * c - 330 * ep2) * d ** 6 / 720
+  )) + (lat < 0 ? 10000000 : 0)
+
+  const band = UTM_BANDS[Math.floor((lat + 80) / 8)]
+  return `${zone}${band} ${Math.round(easting)} ${Math.round(northing)}`
+}
+
+function parseUtm(text) {
+  const match = text.toUpperCase().match(UTM_PATTERN)
+  if (!match) return null
+
+  const zone = parseInt(match[1], 10)
+  const easting = parseFloat(match[3])
+  const northing = parseFloat(match[4])
+  if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > 10000000) return null
+
+  return { position: utmToLatLon(zone, match[2], easting, northing), format: 'utm', locality: '' }
+}
+
+/**
+ * Parse text as a coordinate. `reference` ([lat, lon]) is needed for short
+ * Plus Codes. Returns { position: [lat, lon], format, locality } or null
+ * when the text isn't a coordinate.
+ */
+export function parseCoordinates(text, reference = null) {
+  if (!text || !/\d/.test(text)) return null
+  return parseUtm(text) || parsePlusCode(text, reference) || parseDegrees(text)
+}
+
+// Short Plus Code followed by a town ("CXJ6+XQ Carmona") - the town to resolve first
+export function getPlusCodeLocality(text) {
+  const match = text.toUpperCase().match(OLC_PATTERN)
+  if (!match || !match[2] || match[1].indexOf('+') === 8) return ''
+  // Sliced from the original so the town keeps its casing
+  return text.trim().slice(match[1].length).replace(/^[\s,]+/, '')
+}
+
+/**
+ * Position written in one of COORDINATE_FORMATS (decimal by default):
+ *   "14.43240, 120.96190", 14°25'56.6"N 120°57'42.8"E, "7Q62CXJ6+XQ", "51P 280281 1596523"
+ * Empty for UTM outside its latitude range.
+ */
+export function formatCoordinates([lat, lon], format = 'decimal') {
+  if (format === 'dms') return `${formatDms(lat, 'N', 'S')} ${formatDms(lon, 'E', 'W')}`
+  if (format === 'pluscode') return encodePlusCode(lat, lon)
+  if (format === 'utm') return latLonToUtm(lat, lon)
+  return `${lat.toFixed(5)}, ${lon.toFixed(5)}`
+}
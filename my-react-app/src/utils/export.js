@@ -0,0 +1,168 @@
+/**
+ * Export Utilities
+ *
+ * PURPOSE: Turn the current route and result places into GPX, GeoJSON or KML
+ * files for QGIS, Garmin devices and Google Earth
+ *
+ * Input model:
+ *   {
+ *     name,                      // Document name
+ *     route: { name, coordinates: [[lat, lon]...], properties } | null,
+ *     places: [{ name, position: [lat, lon], properties }]
+ *   }
+ * Property values should be strings or numbers.
+ */
+
+export const EXPORT_FORMATS = [
+  { id: 'gpx', label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+  { id: 'geojson', label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  { id: 'kml', label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' }
+]
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+// Drop empty properties so files stay clean
+function cleanProperties(properties = {}) {
+  return Object.fromEntries(
+    Object.entries(properties).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  )
+}
+
+// Properties as "key: value" lines, for formats without typed attributes
+function describeProperties(properties) {
+  return Object.entries(cleanProperties(properties))
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n')
+}
+
+export function toGeoJSON({ name, route, places = [] }) {
+  const features = []
+
+  if (route) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: route.coordinates.map(([lat, lon]) => [lon, lat])
+      },
+      properties: { name: route.name, ...cleanProperties(route.properties) }
+    })
+  }
+
+  places.forEach(place => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [place.position[1], place.position[0]] },
+      properties: { name: place.name, ...cleanProperties(place.properties) }
+    })
+  })
+
+  return JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2)
+}
+
+export function toGPX({ name, route, places = [] }) {
+  const waypoints = places.map(place => {
+    const desc = describeProperties(place.properties)
+    return [
+      `  <wpt lat="${place.position[0]}" lon="${place.position[1]}">`,
+      `    <name>${escapeXml(place.name)}</name>`,
+      desc && `    <desc>${escapeXml(desc)}</desc>`,
+      '  </wpt>'
+    ].filter(Boolean).join('\n')
+  })
+
+  // Routes go out as tracks - Garmin and QGIS keep every vertex of a <trk>
+  const track = route && [
+    '  <trk>',
+    `    <name>${escapeXml(route.name)}</name>`,
+    `    <desc>${escapeXml(describeProperties(route.properties))}</desc>`,
+    '    <trkseg>',
+    ...route.coordinates.map(([lat, lon]) => `      <trkpt lat="${lat}" lon="${lon}"></trkpt>`),
+    '    </trkseg>',
+    '  </trk>'
+  ].join('\n')
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="LiteMap" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    track,
+    '</gpx>'
+  ].filter(Boolean).join('\n')
+}
+
+function kmlExtendedData(properties) {
+  const entries = Object.entries(cleanProperties(properties))
+  if (entries.length === 0) return ''
+  return [
+    '      <ExtendedData>',
+    ...entries.map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`),
+    '      </ExtendedData>'
+  ].join('\n')
+}
+
+export function toKML({ name, route, places = [] }) {
+  const placemarks = places.map(place => [
+    '    <Placemark>',
+    `      <name>${escapeXml(place.name)}</name>`,
+    kmlExtendedData(place.properties),
+    `      <Point><coordinates>${place.position[1]},${place.position[0]},0</coordinates></Point>`,
+    '    </Placemark>'
+  ].filter(Boolean).join('\n'))
+
+  if (route) {
+    placemarks.unshift([
+      '    <Placemark>',
+      `      <name>${escapeXml(route.name)}</name>`,
+      '      <styleUrl>#route</styleUrl>',
+      kmlExtendedData(route.properties),
+      '      <LineString><tessellate>1</tessellate><coordinates>',
+      route.coordinates.map(([lat, lon]) => `${lon},${lat},0`).join(' '),
+      '      </coordinates></LineString>',
+      '    </Placemark>'
+    ].filter(Boolean).join('\n'))
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    // KML colors are aabbggrr - this is the app's route blue
+    '    <Style id="route"><LineStyle><color>b3f48542</color><width>5</width></LineStyle></Style>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n')
+}
+
+const SERIALIZERS = { gpx: toGPX, geojson: toGeoJSON, kml: toKML }
+
+// Hand text content to the browser as a download named base-YYYYMMDD-HHMM.ext
+export function downloadFile(content, mime, baseName, extension) {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-')
+
+  const url = URL.createObjectURL(new Blob([content], { type: mime }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `${baseName}-${stamp}.${extension}`
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Build the file and hand it to the browser as a download
+export function downloadExport(data, formatId, baseName) {
+  const format = EXPORT_FORMATS.find(f => f.id === formatId)
+  downloadFile(SERIALIZERS[format.id](data), format.mime, baseName, format.extension)
+}
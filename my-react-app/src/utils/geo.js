@@ -0,0 +1,150 @@
+/**
+ * Geo Utilities
+ *
+ * PURPOSE: Distance and route geometry math shared across the app
+ *
+ * Points are [lat, lon] arrays, the same shape Leaflet and the route
+ * model use everywhere else.
+ */
+
+const EARTH_RADIUS_KM = 6371
+
+// Haversine formula - calculates accurate distance between two lat/lon points
+export function getDistanceKm(lat1, lon1, lat2, lon2) {
+  const R = EARTH_RADIUS_KM
+  const dLat = (lat2 - lat1) * Math.PI / 180
+  const dLon = (lon2 - lon1) * Math.PI / 180
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2)
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a))
+  return R * c
+}
+
+// Initial compass bearing (0-360°, 0 = north) from point a to point b
+export function getBearing(a, b) {
+  const lat1 = a[0] * Math.PI / 180
+  const lat2 = b[0] * Math.PI / 180
+  const dLon = (b[1] - a[1]) * Math.PI / 180
+  const y = Math.sin(dLon) * Math.cos(lat2)
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon)
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360
+}
+
+// Running distance (km) from the start of a line to each of its vertices
+export function getCumulativeDistances(line) {
+  const totals = [0]
+  for (let i = 1; i < line.length; i++) {
+    const [lat1, lon1] = line[i - 1]
+    const [lat2, lon2] = line[i]
+    totals.push(totals[i - 1] + getDistanceKm(lat1, lon1, lat2, lon2))
+  }
+  return totals
+}
+
+// Length (km) of each leg of a line; a closed ring adds the leg back to the start
+export function getLegDistancesKm(points, closed = false) {
+  const ends = closed && points.length > 2 ? [...points, points[0]] : points
+  return ends.slice(1).map(([lat, lon], i) => getDistanceKm(ends[i][0], ends[i][1], lat, lon))
+}
+
+/**
+ * Area (km²) enclosed by a ring of [lat, lon] points, on the same sphere
+ * as getDistanceKm (spherical excess, as in Leaflet.draw's geodesicArea).
+ * The ring may be open or closed; orientation doesn't matter.
+ */
+export function getRingAreaKm2(ring) {
+  const toRadians = Math.PI / 180
+  let sum = 0
+  for (let i = 0; i < ring.length; i++) {
+    const [lat1, lon1] = ring[i]
+    const [lat2, lon2] = ring[(i + 1) % ring.length]
+    sum += (lon2 - lon1) * toRadians * (2 + Math.sin(lat1 * toRadians) + Math.sin(lat2 * toRadians))
+  }
+  return Math.abs(sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2)
+}
+
+/**
+ * Snap a point onto a line.
+ * Returns { point, offsetKm, alongKm, segment }: the closest point on the
+ * line, how far the input is from it, how far along the line it lies, and
+ * the index of the segment it falls on. Uses a local flat projection per
+ * segment, which is plenty accurate at street scale.
+ */
+export function snapToLine(point, line, cumulative = getCumulativeDistances(line)) {
+  let best = { point: line[0], offsetKm: Infinity, alongKm: 0, segment: 0 }
+
+  for (let i = 1; i < line.length; i++) {
+    const a = line[i - 1]
+    const b = line[i]
+    const cosLat = Math.cos(a[0] * Math.PI / 180)
+    const abx = (b[1] - a[1]) * cosLat
+    const aby = b[0] - a[0]
+    const apx = (point[1] - a[1]) * cosLat
+    const apy = point[0] - a[0]
+    const lengthSq = abx * abx + aby * aby
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (apx * abx + apy * aby) / lengthSq))
+    const snapped = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]
+    const offsetKm = getDistanceKm(point[0], point[1], snapped[0], snapped[1])
+
+    if (offsetKm < best.offsetKm) {
+      best = {
+        point: snapped,
+        offsetKm,
+        alongKm: cumulative[i - 1] + (cumulative[i] - cumulative[i - 1]) * t,
+        segment: i - 1
+      }
+    }
+  }
+
+  return best
+}
+
+// Ray casting test against one ring of [lat, lon] points
+function isPointInRing(point, ring) {
+  const [y, x] = point
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i]
+    const [yj, xj] = ring[j]
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+/**
+ * Whether a point falls inside an area given as a list of polygons,
+ * each polygon being [outerRing, ...holes].
+ */
+export function isPointInPolygons(point, polygons) {
+  return polygons.some(([outer, ...holes]) =>
+    isPointInRing(point, outer) && !holes.some(hole => isPointInRing(point, hole))
+  )
+}
+
+// Bounding box of a list of polygons as [south, west, north, east]
+export function getPolygonsBounds(polygons) {
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity
+  polygons.forEach(([outer]) => outer.forEach(([lat, lon]) => {
+    south = Math.min(south, lat)
+    north = Math.max(north, lat)
+    west = Math.min(west, lon)
+    east = Math.max(east, lon)
+  }))
+  return [south, west, north, east]
+}
+
+// Square box of ±delta degrees around a point, as [south, west, north, east]
+export function getBoundsAround([lat, lon], delta) {
+  return [lat - delta, lon - delta, lat + delta, lon + delta]
+}
+
+// Box around a circle of radiusKm, as [south, west, north, east]
+export function getBoundsAroundKm([lat, lon], radiusKm) {
+  const latDelta = radiusKm / 111.32
+  const lonDelta = radiusKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01))
+  return [lat - latDelta, lon - lonDelta, lat + latDelta, lon + lonDelta]
+}
@@ -0,0 +1,92 @@
+/**
+ * IndexedDB Helpers
+ *
+ * PURPOSE: Tiny promise wrapper for data too big for localStorage
+ * (offline road extracts, the response cache, offline map tiles, imported layers)
+ *
+ * One database, one object store per kind of data. Add new stores to
+ * STORES and bump DB_VERSION so existing browsers upgrade.
+ */
+
+const DB_NAME = 'litemap'
+const DB_VERSION = 4
+const STORES = ['offline', 'cache', 'tiles', 'tileRegions', 'layers']
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      let isStale = false // Given up on after a block; a later retry opens its own
+      request.onupgradeneeded = () => {
+        if (isStale) {
+          request.transaction.abort()
+          return
+        }
+        STORES.forEach(store => {
+          if (!request.result.objectStoreNames.contains(store)) {
+            request.result.createObjectStore(store)
+          }
+        })
+      }
+      request.onsuccess = () => {
+        const db = request.result
+        if (isStale) {
+          db.close()
+          return
+        }
+        // Let another tab upgrade instead of blocking it; the next call reopens
+        db.onversionchange = () => {
+          db.close()
+          dbPromise = null
+        }
+        resolve(db)
+      }
+      request.onerror = () => {
+        if (isStale) return
+        dbPromise = null
+        reject(request.error)
+      }
+      // A tab still open on an older version holds the upgrade back; fail
+      // now rather than leave every caller waiting on it
+      request.onblocked = () => {
+        isStale = true
+        dbPromise = null
+        reject(new Error('IndexedDB upgrade blocked by another tab'))
+      }
+    })
+  }
+  return dbPromise
+}
+
+// Run one request in its own transaction and resolve with its result
+async function run(store, mode, makeRequest) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(store, mode).objectStore(store))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+export function idbGet(store, key) {
+  return run(store, 'readonly', objectStore => objectStore.get(key))
+}
+
+export function idbPut(store, key, value) {
+  return run(store, 'readwrite', objectStore => objectStore.put(value, key))
+}
+
+export function idbDelete(store, key) {
+  return run(store, 'readwrite', objectStore => objectStore.delete(key))
+}
+
+// Every value in a store (keys are not included - keep them in the values if needed)
+export function idbGetAll(store) {
+  return run(store, 'readonly', objectStore => objectStore.getAll())
+}
+
+export function idbClear(store) {
+  return run(store, 'readwrite', objectStore => objectStore.clear())
+}
@@ -0,0 +1,527 @@
+/**
+ * Layer File Readers
+ *
+ * PURPOSE: Turn the user's own GIS files into GeoJSON the map can draw
+ *
+ * Supported inputs:
+ *   - GeoJSON (.geojson, .json) - a FeatureCollection, Feature or bare geometry
+ *   - KML (.kml) and KMZ (.kmz) - placemarks with their ExtendedData
+ *   - GPX (.gpx) - waypoints, routes and tracks
+ *   - Zipped Shapefile (.zip) - .shp + .dbf (+ .prj, .cpg); WGS84 or WGS84 / UTM
+ *   - CSV (.csv, .tsv, .txt) - one point per row from lat/lon columns
+ *
+ * Every reader returns a GeoJSON FeatureCollection with [lon, lat]
+ * coordinates; readLayerFile returns one { name, data } per layer found
+ * (a zip can hold several shapefiles).
+ */
+
+import { utmToLatLon } from './coordinates'
+
+function toCollection(features) {
+  return { type: 'FeatureCollection', features }
+}
+
+function fileBaseName(name) {
+  return name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '')
+}
+
+// ---- GeoJSON ----
+
+export function readGeoJSON(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not a valid GeoJSON file')
+  }
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    return toCollection(data.features.filter(feature => feature?.geometry))
+  }
+  if (data?.type === 'Feature') return toCollection(data.geometry ? [data] : [])
+  if (data?.coordinates || data?.geometries) {
+    return toCollection([{ type: 'Feature', geometry: data, properties: {} }])
+  }
+  throw new Error('Not a valid GeoJSON file')
+}
+
+// ---- XML (KML, GPX) ----
+
+function parseXml(text, label) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.querySelector('parsererror')) {
+    throw new Error(`Not a valid ${label} file`)
+  }
+  return doc
+}
+
+// Direct children by tag name, ignoring namespace prefixes
+function children(element, name) {
+  return [...element.children].filter(child => child.localName === name)
+}
+
+function childText(element, name) {
+  return children(element, name)[0]?.textContent.trim() || ''
+}
+
+// ---- KML ----
+
+// "lon,lat[,alt] lon,lat..." -> [[lon, lat]...]
+function readKmlCoordinates(element) {
+  return childText(element, 'coordinates')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat))
+}
+
+function readKmlRing(boundary) {
+  const ring = children(boundary, 'LinearRing')[0]
+  return ring ? readKmlCoordinates(ring) : []
+}
+
+function readKmlGeometry(element) {
+  switch (element.localName) {
+    case 'Point':
+      return { type: 'Point', coordinates: readKmlCoordinates(element)[0] }
+    case 'LineString':
+      return { type: 'LineString', coordinates: readKmlCoordinates(element) }
+    case 'Polygon':
+      return {
+        type: 'Polygon',
+        coordinates: [
+          ...children(element, 'outerBoundaryIs').map(readKmlRing),
+          ...children(element, 'innerBoundaryIs').map(readKmlRing)
+        ].filter(ring => ring.length >= 4)
+      }
+    case 'MultiGeometry': {
+      const geometries = [...element.children].map(readKmlGeometry).filter(Boolean)
+      return geometries.length > 0 ? { type: 'GeometryCollection', geometries } : null
+    }
+    default:
+      return null
+  }
+}
+
+function isUsableGeometry(geometry) {
+  if (!geometry) return false
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.length > 0
+  if (geometry.type === 'Point') return Boolean(geometry.coordinates)
+  return geometry.coordinates.length > 0
+}
+
+// name, description and <ExtendedData> values (<Data> or schema <SimpleData>)
+function readKmlProperties(placemark) {
+  const properties = {}
+  const name = childText(placemark, 'name')
+  const description = childText(placemark, 'description')
+  if (name) properties.name = name
+  if (description) properties.description = description
+  placemark.querySelectorAll('ExtendedData Data').forEach(data => {
+    properties[data.getAttribute('name')] = childText(data, 'value')
+  })
+  placemark.querySelectorAll('ExtendedData SimpleData').forEach(data => {
+    properties[data.getAttribute('name')] = data.textContent.trim()
+  })
+  return properties
+}
+
+export function readKml(text) {
+  const doc = parseXml(text, 'KML')
+  const features = []
+  doc.querySelectorAll('Placemark').forEach(placemark => {
+    const geometry = [...placemark.children].map(readKmlGeometry).find(Boolean)
+    if (isUsableGeometry(geometry)) {
+      features.push({ type: 'Feature', geometry, properties: readKmlProperties(placemark) })
+    }
+  })
+  return toCollection(features)
+}
+
+// ---- GPX ----
+
+function readGpxPoint(point) {
+  return [parseFloat(point.getAttribute('lon')), parseFloat(point.getAttribute('lat'))]
+}
+
+function readGpxProperties(element) {
+  const properties = {}
+  ;['name', 'desc', 'cmt', 'type', 'ele', 'time'].forEach(name => {
+    const value = childText(element, name)
+    if (value) properties[name] = value
+  })
+  return properties
+}
+
+export function readGpx(text) {
+  const doc = parseXml(text, 'GPX')
+  const features = []
+
+  doc.querySelectorAll('wpt').forEach(waypoint => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: readGpxPoint(waypoint) },
+      properties: readGpxProperties(waypoint)
+    })
+  })
+
+  doc.querySelectorAll('rte').forEach(route => {
+    const coordinates = children(route, 'rtept').map(readGpxPoint)
+    if (coordinates.length < 2) return
+    features.push({ type: 'Feature', geometry: { type: 'LineString', coordinates }, properties: readGpxProperties(route) })
+  })
+
+  doc.querySelectorAll('trk').forEach(track => {
+    const segments = children(track, 'trkseg')
+      .map(segment => children(segment, 'trkpt').map(readGpxPoint))
+      .filter(segment => segment.length >= 2)
+    if (segments.length === 0) return
+    features.push({ type: 'Feature', geometry: { type: 'MultiLineString', coordinates: segments }, properties: readGpxProperties(track) })
+  })
+
+  return toCollection(features)
+}
+
+// ---- CSV ----
+
+const LAT_COLUMNS = ['lat', 'latitude', 'y', 'lat_dd', 'ycoord']
+const LON_COLUMNS = ['lon', 'lng', 'long', 'longitude', 'x', 'lon_dd', 'xcoord']
+
+// Rows of cells; quoted cells may hold the delimiter, "" and line breaks
+function parseDelimited(text, delimiter) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.filter(cells => cells.some(value => value.trim()))
+}
+
+// Comma, semicolon (European Excel) or tab - whichever the header uses most
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/))
+  return [',', ';', '\t']
+    .map(delimiter => [delimiter, header.split(delimiter).length])
+    .sort((a, b) => b[1] - a[1])[0][0]
+}
+
+function findColumn(headers, names) {
+  return headers.findIndex(header => names.includes(header.trim().toLowerCase()))
+}
+
+export function readCsv(text) {
+  const [headers, ...rows] = parseDelimited(text.replace(/^\uFEFF/, ''), detectDelimiter(text))
+  if (!headers) throw new Error('The CSV file is empty')
+
+  const latIndex = findColumn(headers, LAT_COLUMNS)
+  const lonIndex = findColumn(headers, LON_COLUMNS)
+  if (latIndex === -1 || lonIndex === -1) {
+    throw new Error('No latitude/longitude columns found (name them lat and lon)')
+  }
+
+  const features = []
+  rows.forEach(cells => {
+    const lat = parseFloat(cells[latIndex])
+    const lon = parseFloat(cells[lonIndex])
+    if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) return
+    const properties = Object.fromEntries(
+      headers
+        .map((header, i) => [header.trim(), cells[i]?.trim() ?? ''])
+        .filter(([header], i) => header && i !== latIndex && i !== lonIndex)
+    )
+    features.push({ type: 'Feature', geometry: { type: 'Point', coordinates: [lon, lat] }, properties })
+  })
+  return toCollection(features)
+}
+
+// ---- ZIP ----
+// Central directory walk; deflated entries via DecompressionStream.
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+// { [path]: Uint8Array } for every file in the archive
+async function readZip(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+
+  // End of central directory record - the comment after it is at most 64 KB
+  let end = bytes.length - 22
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--
+  if (end < 0) throw new Error('Not a valid ZIP file')
+
+  const count = view.getUint16(end + 10, true)
+  let pos = view.getUint32(end + 16, true)
+  // ZIP64 archives (over 4 GB or 65535 files) mark these fields as all ones
+  if (count === 0xffff || pos === 0xffffffff) throw new Error('ZIP64 archives are not supported - re-zip the files')
+  const decoder = new TextDecoder()
+  const files = {}
+
+  // Offsets come from the file itself; one past the end means it is damaged
+  const check = (isValid) => {
+    if (!isValid) throw new Error('Not a valid ZIP file')
+  }
+
+  for (let i = 0; i < count; i++) {
+    check(pos + 46 <= bytes.length && view.getUint32(pos, true) === 0x02014b50)
+    const method = view.getUint16(pos + 10, true)
+    const compressedSize = view.getUint32(pos + 20, true)
+    const nameLength = view.getUint16(pos + 28, true)
+    const extraLength = view.getUint16(pos + 30, true)
+    const commentLength = view.getUint16(pos + 32, true)
+    const offset = view.getUint32(pos + 42, true)
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength))
+    pos += 46 + nameLength + extraLength + commentLength
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue
+    // The local header repeats the name and has its own extra field length
+    check(offset + 30 <= bytes.length && view.getUint32(offset, true) === 0x04034b50)
+    const start = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true)
+    check(start + compressedSize <= bytes.length)
+    const data = bytes.subarray(start, start + compressedSize)
+    if (method === 0) files[name] = data
+    else if (method === 8) files[name] = await inflateRaw(data)
+    else throw new Error(`Unsupported ZIP compression in ${name}`)
+  }
+  return files
+}
+
+// ---- Shapefile ----
+
+// Shapefile polygons: clockwise rings are outer rings, counter-clockwise ones holes
+function isClockwise(ring) {
+  let sum = 0
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1])
+  }
+  return sum > 0
+}
+
+function toPolygonGeometry(rings) {
+  const polygons = []
+  rings.forEach(ring => {
+    if (ring.length < 4) return
+    if (isClockwise(ring) || polygons.length === 0) polygons.push([ring])
+    else polygons[polygons.length - 1].push(ring)
+  })
+  if (polygons.length === 0) return null
+  return polygons.length === 1
+    ? { type: 'Polygon', coordinates: polygons[0] }
+    : { type: 'MultiPolygon', coordinates: polygons }
+}
+
+// Point, polyline, polygon, multipoint and their Z (+10) and M (+20) variants
+const SHAPE_TYPES = new Set([1, 3, 5, 8, 11, 13, 15, 18, 21, 23, 25, 28])
+
+// One record's geometry; Z and M variants share the XY layout of their base type
+function readShape(view, pos, toLonLat) {
+  const raw = view.getInt32(pos, true)
+  if (!SHAPE_TYPES.has(raw)) return null // Null shape (0), MultiPatch (31) or unknown
+  const type = raw % 10
+  const point = (offset) => toLonLat(view.getFloat64(offset, true), view.getFloat64(offset + 8, true))
+
+  if (type === 1) return { type: 'Point', coordinates: point(pos + 4) }
+  if (type === 8) {
+    const count = view.getInt32(pos + 36, true)
+    const coordinates = Array.from({ length: count }, (_, i) => point(pos + 40 + i * 16))
+    return { type: 'MultiPoint', coordinates }
+  }
+  if (type === 3 || type === 5) {
+    const partCount = view.getInt32(pos + 36, true)
+    const pointCount = view.getInt32(pos + 40, true)
+    const pointsStart = pos + 44 + partCount * 4
+    const starts = Array.from({ length: partCount }, (_, i) => view.getInt32(pos + 44 + i * 4, true))
+    const parts = starts.map((start, i) => {
+      const stop = i + 1 < partCount ? starts[i + 1] : pointCount
+      return Array.from({ length: stop - start }, (_, j) => point(pointsStart + (start + j) * 16))
+    })
+    if (type === 5) return toPolygonGeometry(parts)
+    const lines = parts.filter(part => part.length >= 2)
+    if (lines.length === 0) return null
+    return lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines }
+  }
+  return null
+}
+
+function readShp(buffer, toLonLat) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  if (view.getInt32(0) !== 9994) throw new Error('Not a valid .shp file')
+
+  const geometries = []
+  let pos = 100
+  while (pos + 8 <= buffer.byteLength) {
+    const contentLength = view.getInt32(pos + 4) * 2 // Big-endian, in 16-bit words
+    if (contentLength < 4 || pos + 8 + contentLength > buffer.byteLength) throw new Error('Not a valid .shp file')
+    geometries.push(readShape(view, pos + 8, toLonLat))
+    pos += 8 + contentLength
+  }
+  return geometries
+}
+
+function readDbfValue(type, text) {
+  const value = text.trim()
+  if (type === 'N' || type === 'F') return value === '' ? null : Number(value)
+  if (type === 'L') return /^[YyTt]$/.test(value) ? true : /^[NnFf]$/.test(value) ? false : null
+  if (type === 'D' && /^\d{8}$/.test(value)) return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6)}`
+  return value
+}
+
+// Attribute rows; deleted records come back as null to keep record order
+function readDbf(buffer, encoding) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const recordCount = view.getUint32(4, true)
+  const headerLength = view.getUint16(8, true)
+  const recordLength = view.getUint16(10, true)
+  let decoder
+  try {
+    decoder = new TextDecoder(encoding || 'utf-8')
+  } catch {
+    decoder = new TextDecoder()
+  }
+
+  const fields = []
+  for (let pos = 32; buffer[pos] !== 0x0d && pos < headerLength; pos += 32) {
+    fields.push({
+      name: decoder.decode(buffer.subarray(pos, pos + 11)).replace(/\0.*$/, ''),
+      type: String.fromCharCode(buffer[pos + 11]),
+      length: buffer[pos + 16]
+    })
+  }
+
+  return Array.from({ length: recordCount }, (_, i) => {
+    let pos = headerLength + i * recordLength
+    if (buffer[pos] === 0x2a) return null // '*' marks a deleted record
+    pos += 1
+    const properties = {}
+    fields.forEach(field => {
+      properties[field.name] = readDbfValue(field.type, decoder.decode(buffer.subarray(pos, pos + field.length)))
+      pos += field.length
+    })
+    return properties
+  })
+}
+
+/**
+ * Coordinate conversion for a .prj: geographic WGS84 as-is, WGS84 / UTM
+ * through the UTM inverse. Other projections and datums (PRS92, Luzon
+ * 1911) would need datum shifts - those files have to be reprojected first.
+ */
+function getProjection(prj) {
+  if (!prj || /^\s*GEOGCS\[/.test(prj)) return (x, y) => [x, y]
+  const utm = prj.match(/WGS[_ ]?(?:19)?84[^"]*UTM[_ ]zone[_ ](\d{1,2})([NS])/i)
+  if (utm) {
+    const zone = Number(utm[1])
+    const band = utm[2].toUpperCase() === 'S' ? 'M' : 'N' // Any band from N reads as northern
+    return (x, y) => {
+      // Eastings run about 166-834 km; degrees under a UTM .prj land far outside
+      if (x < 100000 || x > 900000) return [NaN, NaN]
+      const [lat, lon] = utmToLatLon(zone, band, x, y)
+      return [lon, lat]
+    }
+  }
+  const name = prj.match(/PROJCS\["([^"]+)"/)?.[1] || 'an unsupported projection'
+  throw new Error(`Shapefile uses ${name} - reproject it to WGS84 (EPSG:4326) first`)
+}
+
+export async function readShapefileZip(buffer) {
+  const files = await readZip(buffer)
+  const paths = Object.keys(files)
+  const findSibling = (base, extension) => paths.find(path => path.toLowerCase() === `${base}.${extension}`)
+  const textDecoder = new TextDecoder()
+
+  const layers = paths
+    .filter(path => path.toLowerCase().endsWith('.shp'))
+    .map(shpPath => {
+      const base = shpPath.slice(0, -4).toLowerCase()
+      const dbfPath = findSibling(base, 'dbf')
+      const prjPath = findSibling(base, 'prj')
+      const cpgPath = findSibling(base, 'cpg')
+
+      const name = fileBaseName(shpPath)
+      let geometries
+      let rows
+      try {
+        const project = getProjection(prjPath && textDecoder.decode(files[prjPath]))
+        // A .prj that belongs to other data projects points off the globe
+        const toLonLat = (x, y) => {
+          const [lon, lat] = project(x, y)
+          if (!(Math.abs(lon) <= 180 && Math.abs(lat) <= 90)) {
+            throw new Error(prjPath ? `Coordinates don't match ${fileBaseName(prjPath)}.prj` : 'Coordinates are not WGS84 - add its .prj file')
+          }
+          return [lon, lat]
+        }
+        geometries = readShp(files[shpPath], toLonLat)
+        rows = dbfPath ? readDbf(files[dbfPath], cpgPath && textDecoder.decode(files[cpgPath]).trim()) : []
+      } catch (error) {
+        // Name the layer, since one ZIP can hold several
+        throw new Error(`${name}: ${error instanceof RangeError ? 'Not a valid shapefile' : error.message}`)
+      }
+
+      const features = geometries
+        .map((geometry, i) => (geometry && rows[i] !== null
+          ? { type: 'Feature', geometry, properties: rows[i] || {} }
+          : null))
+        .filter(Boolean)
+      return { name, data: toCollection(features) }
+    })
+
+  if (layers.length === 0) throw new Error('No shapefile (.shp) found in the ZIP')
+  return layers
+}
+
+// KMZ is a zipped KML, usually doc.kml plus its icons
+async function readKmz(buffer) {
+  const files = await readZip(buffer)
+  const kmlPath = Object.keys(files).find(path => path.toLowerCase().endsWith('.kml'))
+  if (!kmlPath) throw new Error('No KML found in the KMZ')
+  return readKml(new TextDecoder().decode(files[kmlPath]))
+}
+
+export const LAYER_FILE_TYPES = '.geojson,.json,.kml,.kmz,.gpx,.zip,.csv,.tsv,.txt'
+
+// Pick a reader from the file name: [{ name, data }]
+export async function readLayerFile(file) {
+  const name = file.name.toLowerCase()
+  const single = async (read) => [{ name: fileBaseName(file.name), data: await read() }]
+
+  if (name.endsWith('.zip')) return readShapefileZip(await file.arrayBuffer())
+  if (name.endsWith('.kmz')) return single(async () => readKmz(await file.arrayBuffer()))
+  if (name.endsWith('.kml')) return single(async () => readKml(await file.text()))
+  if (name.endsWith('.gpx')) return single(async () => readGpx(await file.text()))
+  if (/\.(csv|tsv|txt)$/.test(name)) return single(async () => readCsv(await file.text()))
+  if (/\.(geo)?json$/.test(name)) return single(async () => readGeoJSON(await file.text()))
+  throw new Error(`Unsupported file type: ${file.name}`)
+}
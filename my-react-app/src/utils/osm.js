@@ -0,0 +1,252 @@
+/**
+ * OSM Road Extract Readers
+ *
+ * PURPOSE: Read the roads out of an OSM extract the user loads from disk
+ *
+ * Supported inputs:
+ *   - GeoJSON (LineString / MultiLineString features with OSM tags)
+ *   - OSM XML (.osm)
+ *   - OSM PBF (.osm.pbf) - decoded here, zlib blocks via DecompressionStream
+ *
+ * Every reader returns the same road list:
+ *   [{ coordinates: [[lat, lon]...], highway, name, oneway, maxspeed }]
+ */
+
+// Highway classes worth routing over; everything else is dropped on import
+export const ROAD_CLASSES = new Set([
+  'motorway', 'motorway_link', 'trunk', 'trunk_link',
+  'primary', 'primary_link', 'secondary', 'secondary_link',
+  'tertiary', 'tertiary_link', 'unclassified', 'residential',
+  'living_street', 'service', 'road', 'track',
+  'pedestrian', 'footway', 'path', 'cycleway', 'steps'
+])
+
+// Oneway direction: 1 = along the way, -1 = against it, 0 = both ways
+function getOneway(tags) {
+  if (tags.oneway === '-1') return -1
+  if (['yes', 'true', '1'].includes(tags.oneway)) return 1
+  if (tags.oneway === 'no') return 0
+  return tags.junction === 'roundabout' || tags.highway === 'motorway' ? 1 : 0
+}
+
+function toRoad(tags, coordinates) {
+  if (!ROAD_CLASSES.has(tags.highway) || coordinates.length < 2) return null
+  return {
+    coordinates,
+    highway: tags.highway,
+    name: tags.name || tags.ref || '',
+    oneway: getOneway(tags),
+    maxspeed: tags.maxspeed || ''
+  }
+}
+
+// ---- GeoJSON ----
+
+export function readGeoJSONRoads(text) {
+  const data = JSON.parse(text)
+  const features = data.type === 'FeatureCollection' ? data.features : [data]
+  const roads = []
+
+  features.forEach(feature => {
+    const geometry = feature.geometry
+    if (!geometry) return
+    // Overpass exports nest tags; osmium/ogr exports keep them flat
+    const tags = feature.properties?.tags || feature.properties || {}
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : []
+    lines.forEach(line => {
+      const road = toRoad(tags, line.map(([lon, lat]) => [lat, lon]))
+      if (road) roads.push(road)
+    })
+  })
+
+  return roads
+}
+
+// ---- OSM XML ----
+
+export function readOsmXmlRoads(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Not a valid OSM XML file')
+  }
+
+  const nodes = new Map()
+  doc.querySelectorAll('node').forEach(node => {
+    nodes.set(node.getAttribute('id'), [parseFloat(node.getAttribute('lat')), parseFloat(node.getAttribute('lon'))])
+  })
+
+  const roads = []
+  doc.querySelectorAll('way').forEach(way => {
+    const tags = {}
+    way.querySelectorAll('tag').forEach(tag => { tags[tag.getAttribute('k')] = tag.getAttribute('v') })
+    const coordinates = [...way.querySelectorAll('nd')]
+      .map(nd => nodes.get(nd.getAttribute('ref')))
+      .filter(Boolean)
+    const road = toRoad(tags, coordinates)
+    if (road) roads.push(road)
+  })
+
+  return roads
+}
+
+// ---- OSM PBF ----
+// Just enough protobuf to walk OSMData blocks: nodes, dense nodes and ways.
+
+// Read one varint; numbers stay exact up to 2^53, which covers OSM ids
+function readVarint(bytes, state) {
+  let result = 0
+  let multiplier = 1
+  let byte
+  do {
+    byte = bytes[state.pos++]
+    result += (byte & 0x7f) * multiplier
+    multiplier *= 128
+  } while (byte >= 0x80)
+  return result
+}
+
+function zigzag(value) {
+  return value % 2 === 1 ? -(value + 1) / 2 : value / 2
+}
+
+// Plain int64 varints come back unsigned; fold negatives back below zero
+function toInt64(value) {
+  return value >= 2 ** 63 ? value - 2 ** 64 : value
+}
+
+// Split a message into { field: [values] } - varints as numbers, the rest as bytes
+function readFields(bytes) {
+  const fields = {}
+  const state = { pos: 0 }
+  while (state.pos < bytes.length) {
+    const key = readVarint(bytes, state)
+    const field = Math.floor(key / 8)
+    const wireType = key & 7
+    let value
+    if (wireType === 0) {
+      value = readVarint(bytes, state)
+    } else if (wireType === 2) {
+      const length = readVarint(bytes, state)
+      value = bytes.subarray(state.pos, state.pos + length)
+      state.pos += length
+    } else if (wireType === 1) {
+      state.pos += 8
+      continue
+    } else if (wireType === 5) {
+      state.pos += 4
+      continue
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`)
+    }
+    (fields[field] = fields[field] || []).push(value)
+  }
+  return fields
+}
+
+function readPacked(bytes, signed = false) {
+  const values = []
+  if (!bytes) return values
+  const state = { pos: 0 }
+  while (state.pos < bytes.length) {
+    const value = readVarint(bytes, state)
+    values.push(signed ? zigzag(value) : value)
+  }
+  return values
+}
+
+// Packed delta-coded sint64 list (ids, refs, dense lat/lon)
+function readDeltas(bytes) {
+  let running = 0
+  return readPacked(bytes, true).map(delta => (running += delta))
+}
+
+const textDecoder = new TextDecoder()
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+async function readBlob(bytes) {
+  const blob = readFields(bytes)
+  if (blob[1]) return blob[1][0]
+  if (blob[3]) return inflate(blob[3][0])
+  throw new Error('Unsupported PBF compression (only zlib and raw are supported)')
+}
+
+function readTags(keys, vals, strings) {
+  const tags = {}
+  keys.forEach((key, i) => { tags[strings[key]] = strings[vals[i]] })
+  return tags
+}
+
+function readPrimitiveBlock(bytes, nodes, ways) {
+  const block = readFields(bytes)
+  const strings = (readFields(block[1][0])[1] || []).map(s => textDecoder.decode(s))
+  const granularity = block[17] ? block[17][0] : 100
+  const latOffset = block[19] ? toInt64(block[19][0]) : 0
+  const lonOffset = block[20] ? toInt64(block[20][0]) : 0
+  const toDegrees = (value, offset) => 1e-9 * (offset + granularity * value)
+
+  ;(block[2] || []).forEach(groupBytes => {
+    const group = readFields(groupBytes)
+
+    ;(group[1] || []).forEach(nodeBytes => {
+      const node = readFields(nodeBytes)
+      nodes.set(zigzag(node[1][0]), [toDegrees(zigzag(node[8][0]), latOffset), toDegrees(zigzag(node[9][0]), lonOffset)])
+    })
+
+    if (group[2]) {
+      const dense = readFields(group[2][0])
+      const ids = readDeltas(dense[1]?.[0])
+      const lats = readDeltas(dense[8]?.[0])
+      const lons = readDeltas(dense[9]?.[0])
+      ids.forEach((id, i) => nodes.set(id, [toDegrees(lats[i], latOffset), toDegrees(lons[i], lonOffset)]))
+    }
+
+    ;(group[3] || []).forEach(wayBytes => {
+      const way = readFields(wayBytes)
+      const tags = readTags(readPacked(way[2]?.[0]), readPacked(way[3]?.[0]), strings)
+      if (ROAD_CLASSES.has(tags.highway)) {
+        ways.push({ tags, refs: readDeltas(way[8]?.[0]) })
+      }
+    })
+  })
+}
+
+export async function readPbfRoads(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(buffer)
+  const nodes = new Map()
+  const ways = []
+  let pos = 0
+
+  while (pos < bytes.length) {
+    const headerLength = view.getUint32(pos)
+    pos += 4
+    const header = readFields(bytes.subarray(pos, pos + headerLength))
+    pos += headerLength
+    const type = textDecoder.decode(header[1][0])
+    const dataSize = header[3][0]
+    const blobBytes = bytes.subarray(pos, pos + dataSize)
+    pos += dataSize
+
+    if (type === 'OSMData') {
+      readPrimitiveBlock(await readBlob(blobBytes), nodes, ways)
+    }
+  }
+
+  return ways
+    .map(way => toRoad(way.tags, way.refs.map(ref => nodes.get(ref)).filter(Boolean)))
+    .filter(Boolean)
+}
+
+// Pick a reader from the file name
+export async function readRoadFile(file) {
+  const name = file.name.toLowerCase()
+  if (name.endsWith('.pbf')) return readPbfRoads(await file.arrayBuffer())
+  if (name.endsWith('.osm') || name.endsWith('.xml')) return readOsmXmlRoads(await file.text())
+  return readGeoJSONRoads(await file.text())
+}
@@ -0,0 +1,32 @@
+/**
+ * Local Storage Helpers
+ *
+ * PURPOSE: Read and write JSON settings in localStorage without throwing -
+ * storage can be unavailable (private mode) or full, and a corrupt value
+ * must not stop the app from starting
+ */
+
+// The saved value, or null when there is none or it can't be read
+export function loadStored(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key))
+  } catch {
+    return null
+  }
+}
+
+export function saveStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // Storage unavailable (private mode) - the value lasts for this session only
+  }
+}
+
+export function removeStored(key) {
+  try {
+    localStorage.removeItem(key)
+  } catch {
+    // Nothing saved to clear
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Measurement Units
+ *
+ * PURPOSE: Lengths and areas as text in metric or imperial units, for the
+ * measure tool
+ *
+ * Metric areas step from m² to hectares (how lots are sold) to km²;
+ * imperial ones from ft² to acres to mi².
+ */
+
+const UNITS_KEY = 'litemap.measureUnits'
+const KM_PER_MILE = 1.609344
+const FEET_PER_MILE = 5280
+const SQ_FEET_PER_ACRE = 43560
+const ACRES_PER_SQ_MILE = 640
+
+export const MEASURE_UNITS = {
+  metric: { label: 'Metric' },
+  imperial: { label: 'Imperial' }
+}
+
+function round(value, digits) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: digits })
+}
+
+export function formatLength(km, units = 'metric') {
+  if (units === 'imperial') {
+    const miles = km / KM_PER_MILE
+    return miles < 0.1 ? `${round(miles * FEET_PER_MILE, 0)} ft` : `${round(miles, 2)} mi`
+  }
+  return km < 1 ? `${round(km * 1000, 1)} m` : `${round(km, 2)} km`
+}
+
+export function formatArea(km2, units = 'metric') {
+  if (units === 'imperial') {
+    const sqMiles = km2 / KM_PER_MILE ** 2
+    const acres = sqMiles * ACRES_PER_SQ_MILE
+    if (acres < 1) return `${round(acres * SQ_FEET_PER_ACRE, 0)} ft²`
+    return acres < ACRES_PER_SQ_MILE ? `${round(acres, 2)} acres` : `${round(sqMiles, 2)} mi²`
+  }
+  const sqMeters = km2 * 1e6
+  if (sqMeters < 10000) return `${round(sqMeters, 0)} m²`
+  return sqMeters < 1e6 ? `${round(sqMeters / 10000, 2)} ha` : `${round(km2, 2)} km²`
+}
+
+export function loadMeasureUnits() {
+  try {
+    const saved = localStorage.getItem(UNITS_KEY)
+    return Object.hasOwn(MEASURE_UNITS, saved) ? saved : 'metric'
+  } catch {
+    return 'metric'
+  }
+}
+
+export function saveMeasureUnits(units) {
+  try {
+    localStorage.setItem(UNITS_KEY, units)
+  } catch {
+    // Storage unavailable (private mode) - the choice lasts for this session only
+  }
+}